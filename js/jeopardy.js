@@ -5,26 +5,30 @@
   Copyright (c) 2025 Eric Jones
   Licensed under the MIT License. See LICENSE.md for details.
 
-  Purpose:  Builds a 5×5 Jeopardy board from a plain-text file,
-			handles scoring, and persists state in localStorage.
+  Purpose:  Builds a Jeopardy board (5×5 by default) from a plain-text
+			file, handles scoring, and persists state in localStorage.
 ──────────────────────────────────────────────────────────────── */
 
 // Hide stats table and clear board title immediately when the DOM is ready
 document.addEventListener('DOMContentLoaded', function () {
+	// The audience window never edits or clears anything
+	if (isAudienceView) return;
+
 	setStatsVisibility(false);
 	clearBoardTitle();
 
-	// Check if there's a draft but no active game loaded
-	const savedDraft = storage.load('jeopardyFormDraft');
+	// Check if there are drafts but no active game loaded
+	migrateFormDraft();
+	const draftCount = Object.keys(loadDrafts()).length;
 	const savedBoard = loadBoardText();
 
-	if (savedDraft && !savedBoard) {
-		// Suggest opening the form to continue working on the draft
+	if (draftCount > 0 && !savedBoard) {
+		// Suggest opening the form to continue working on a draft
 		const notificationDiv = document.createElement('div');
 		notificationDiv.id = 'draft-notification';
 		notificationDiv.className = 'draft-notification';
 		notificationDiv.innerHTML = `
-            <div>You have an unsaved game board draft.
+            <div>You have ${draftCount === 1 ? 'an unfinished game board draft' : `${draftCount} unfinished game board drafts`}.
             <button id="continue-draft-btn">Continue Editing</button>
             <button id="close-notification-btn" class="close-btn">&times;</button></div>
         `;
@@ -44,9 +48,21 @@ document.addEventListener('DOMContentLoaded', function () {
 });
 
 // --- Utility Functions ---
-// Generic localStorage helper
+// The editor's drafts (see Named Drafts); declared up here because storage.save makes room by
+// trimming them
+const DRAFTS_KEY = 'jeopardyDrafts';
+
+// Generic localStorage helper. When localStorage is full, old saved versions of drafts make room
+// for everything else (see makeRoomInStorage), so the game being played can always save.
 const storage = {
-	save: (key, data) => localStorage.setItem(key, JSON.stringify(data)),
+	save: (key, data) => {
+		try {
+			localStorage.setItem(key, JSON.stringify(data));
+		} catch (error) {
+			if (key === DRAFTS_KEY || !isQuotaExceeded(error) || !makeRoomInStorage()) throw error;
+			storage.save(key, data);
+		}
+	},
 	load: (key, defaultValue = null) => {
 		const saved = localStorage.getItem(key);
 		return saved ? JSON.parse(saved) : defaultValue;
@@ -55,19 +71,62 @@ const storage = {
 	clear: (...keys) => keys.forEach(key => localStorage.removeItem(key))
 };
 
-// Utility function to manage stats table visibility
+// Utility function to manage stats table (and score history) visibility
 function setStatsVisibility(visible) {
-	const statsElement = document.getElementById('stats');
-	if (statsElement) {
-		statsElement.style.display = visible ? 'block' : 'none';
-	}
+	['stats', 'score-history'].forEach(id => {
+		const statsElement = document.getElementById(id);
+		if (statsElement) {
+			statsElement.style.display = visible ? 'block' : 'none';
+		}
+	});
+}
+
+// Board dimensions (overridden by Columns:/Rows: headers or inferred from the file)
+const DEFAULT_COLUMNS = 5;
+const DEFAULT_ROWS = 5;
+const MAX_COLUMNS = 10;
+const MAX_ROWS = 10;
+
+// Size of the board currently rendered in #game
+let boardColumns = DEFAULT_COLUMNS;
+let boardRows = DEFAULT_ROWS;
+
+// Parsed board being played and the index of the round on screen
+let currentBoard = null;
+let currentRound = 0;
+
+// Names used for rounds that don't set their own
+const DEFAULT_ROUND_NAMES = ['Jeopardy', 'Double Jeopardy'];
+
+// What the answer timer does when it runs out: keep the clue open (''), reveal the response, or close the clue
+const TIMEOUT_ACTIONS = ['', 'reveal', 'dead'];
+
+function getRoundName(round, index) {
+	return (round && round.name) || DEFAULT_ROUND_NAMES[index] || `Round ${index + 1}`;
+}
+
+// Point values must be positive whole numbers
+function isValidPointValue(value) {
+	return /^\d+$/.test(String(value).trim()) && parseInt(value, 10) > 0;
+}
+
+// Daily Double counts and timer lengths are optional, otherwise whole numbers (0 for none/off)
+function isOptionalWholeNumber(value) {
+	return value === undefined || /^\d*$/.test(String(value).trim());
+}
+
+// Clamp a board dimension to 1..max, falling back when it isn't a number
+function clampDimension(value, fallback, max) {
+	const number = parseInt(value, 10);
+	if (isNaN(number)) return fallback;
+	return Math.min(Math.max(number, 1), max);
 }
 
 // Board iteration helper
 function forEachBoardCell(callback) {
-	for (let row = 0; row < 5; row++) {
-		for (let col = 0; col < 5; col++) {
-			const cell = document.getElementById(`tq${row}${col}`);
+	for (let row = 0; row < boardRows; row++) {
+		for (let col = 0; col < boardColumns; col++) {
+			const cell = document.getElementById(`tq${row}-${col}`);
 			if (cell) callback(cell, row, col);
 		}
 	}
@@ -82,18 +141,22 @@ function saveBoardState() {
 		}
 	});
 	storage.save('jeopardyUsedCells', used);
+	queueLibrarySave();
 }
 
 function loadBoardState() {
 	const used = storage.load('jeopardyUsedCells', []);
 	used.forEach(id => {
-		const cell = document.getElementById(id);
+		// Older saves used tq{row}{col} ids from the fixed 5×5 board
+		const cell = document.getElementById(id.replace(/^tq(\d)(\d)$/, 'tq$1-$2'));
 		if (cell) cell.classList.add('used');
 	});
 }
 
 function saveTeams() {
+	if (isAudienceView) return; // The audience window only mirrors the host's teams
 	storage.save('jeopardyTeams', teams);
+	queueLibrarySave();
 }
 
 function loadTeams() {
@@ -101,7 +164,10 @@ function loadTeams() {
 	renderStats();
 }
 
+// A new board text starts a new game, which joins the library once its teams are set up
+// (see addGameToLibrary)
 function saveBoardText(text) {
+	storage.remove(ACTIVE_GAME_KEY);
 	storage.save('jeopardyBoard', text);
 }
 
@@ -117,628 +183,2319 @@ function loadTitle() {
 	return storage.load('jeopardyTitle', '');
 }
 
+function saveRound(index) {
+	storage.save('jeopardyRound', index);
+	queueLibrarySave();
+}
+
+function loadRound() {
+	return storage.load('jeopardyRound', 0);
+}
+
+// Empty the active game's slot; the game itself stays in the library
 function clearAllStorage() {
-	storage.clear('jeopardyBoard', 'jeopardyUsedCells', 'jeopardyTeams', 'jeopardyTitle');
+	storage.clear('jeopardyBoard', 'jeopardyUsedCells', 'jeopardyTeams', 'jeopardyTitle', 'jeopardyRound', 'jeopardyFinal', 'jeopardyDailyDoubles', 'jeopardyScoreHistory', 'jeopardyPrompt', ACTIVE_GAME_KEY);
 }
 
 // Clear the board title both in the UI and storage
 function clearBoardTitle() {
 	const boardTitleInput = document.getElementById('board-title');
 	if (boardTitleInput && boardTitleInput.value) {
-		console.log('Clearing board title value:', boardTitleInput.value);
 		boardTitleInput.value = '';
 	}
 	saveTitle(''); // Also clear from storage
 }
 
-// Try to grab a Title: ... line from the uploaded file
+// Try to grab a Title: ... line (or a JSON game's title) from the uploaded file
 function parseTitleFromText(text) {
+	if (isJsonGameText(text)) {
+		try {
+			return parseBoardText(text).title;
+		} catch (error) {
+			return '';
+		}
+	}
 	const match = text.match(/^[\s\t]*title\s*:(.*)$/im);
-	return match ? match[1].trim() : '';
+	return match ? unescapeText(match[1].trim()) : '';
 }
 
-// --- File upload and board population ---
-// File validation functions
-function validateDraftFile(fileContent) {
-	// Draft files should either start with [JEOPARDY DRAFT] or be incomplete games
-	const lines = fileContent.split(/\r?\n/);
-
-	// Check if it's explicitly marked as a draft
-	if (lines[0] && lines[0].trim() === '[JEOPARDY DRAFT]') {
-		return { isValid: true, type: 'draft' };
-	}
-
-	// Check if it looks like a complete game file (starts with Title:)
-	if (lines[0] && lines[0].trim().toLowerCase().startsWith('title:')) {
-		// Count categories and questions to see if it's complete
-		let categoryCount = 0;
-		let hasIncompleteCategory = false;
-		let currentCategoryQuestions = 0;
-
-		for (let line of lines) {
-			line = line.trim();
-			if (line.toLowerCase().startsWith('category:')) {
-				if (categoryCount > 0 && currentCategoryQuestions < 5) {
-					hasIncompleteCategory = true;
-				}
-				categoryCount++;
-				currentCategoryQuestions = 0;
-			} else if (/^\d+\|/.test(line)) {
-				const parts = line.split('|');
-				if (parts.length >= 3 && parts[1].trim() && parts[2].trim()) {
-					currentCategoryQuestions++;
-				}
-			}
-		}
+// --- Text Escaping ---
+// In text files a backslash escapes the next character: \| is a pipe, \\ a backslash, \n a line
+// break, \t a tab and \s a space (used at the start or end of a field, which would otherwise be
+// trimmed). Any other escaped character stands for itself, so \, is a comma in a team name and
+// \Title: starts a Final Jeopardy clue line that would otherwise be read as a header.
+const HEADER_PATTERN = /^(title|teams|columns|rows|images|timer|timeout|round|multiplier|daily\s*doubles?|category|note|created|final(\s+jeopardy)?)\s*:/i;
+
+function escapeText(value) {
+	const text = value === undefined || value === null ? '' : String(value);
+	return text
+		.replace(/\\/g, '\\\\')
+		.replace(/\|/g, '\\|')
+		.replace(/\r\n|\r|\n/g, '\\n')
+		.replace(/\t/g, '\\t')
+		.replace(/^ /, '\\s')
+		.replace(/ $/, '\\s');
+}
 
-		// Check last category
-		if (currentCategoryQuestions < 5) {
-			hasIncompleteCategory = true;
-		}
+// Escape a field that starts its line, so it can't be mistaken for a header
+function escapeLineStart(value) {
+	const text = escapeText(value);
+	return HEADER_PATTERN.test(text) ? `\\${text}` : text;
+}
 
-		// Whether complete or incomplete, we'll allow it as a draft
-		if (categoryCount < 5 || hasIncompleteCategory) {
-			return { isValid: true, type: 'draft' };
+function unescapeText(text) {
+	return text.replace(/\\(.)/g, (match, char) => ({ n: '\n', t: '\t', s: ' ' })[char] || char);
+}
+
+// Split on a separator, skipping escaped ones; the parts keep their escapes
+function splitEscaped(text, separator) {
+	const parts = [''];
+	for (let i = 0; i < text.length; i++) {
+		if (text[i] === '\\' && i + 1 < text.length) {
+			parts[parts.length - 1] += text[i] + text[i + 1];
+			i++;
+		} else if (text[i] === separator) {
+			parts.push('');
 		} else {
-			// Complete games are now allowed as drafts
-			return { isValid: true, type: 'draft' };
+			parts[parts.length - 1] += text[i];
 		}
 	}
-
-	// If it doesn't start with Title: or [JEOPARDY DRAFT], accept it as a potential draft
-	return { isValid: true, type: 'draft' };
+	return parts;
 }
 
-function validateGameFile(fileContent) {
-	const lines = fileContent.split(/\r?\n/);
-
-	// Check if it's marked as a draft first (before other format checks)
-	if (lines.some(line => line.trim() === '[JEOPARDY DRAFT]')) {
-		return { isValid: false, message: 'This appears to be a draft file. Please use the "Edit" button instead.' };
-	}
+// --- File upload and board population ---
+// Parse game or draft text into
+// { title, teams, columns, rows, imageFolder, timer, timeout, rounds: [{ name, multiplier, dailyDoubles, timer, categories }], final }
+// Columns:/Rows: headers set the board size; without them it is inferred from the content.
+// Round: headers start a new round; files without them are a single round.
+// A DD after the points (400 DD|clue|response) marks a Daily Double, and a round's
+// Daily Doubles: N header asks for N in total, placing any unmarked ones at random.
+// A Note: line after a clue holds host notes that only the host window shows.
+// Timer: N sets the answer timer in seconds for the whole game, or for one round when it follows
+// that round's header; Timeout: reveal|dead sets what happens when it runs out.
+// Images: folder/ sets where the game's <img> files are found (images/ by default).
+// Text fields may use backslash escapes (see Text Escaping).
+// An optional Final: section holds the Final Jeopardy category and its CLUE|RESPONSE line.
+// JSON game files (see parseBoardJson) are parsed into the same shape.
+// An optional trace (see createParseTrace) records where each part of the board came from.
+function parseBoardText(text, trace = null) {
+	if (isJsonGameText(text)) return parseBoardJson(text);
 
-	// Game files should start with "Title:" and be complete
-	if (!lines[0] || !lines[0].trim().toLowerCase().startsWith('title:')) {
-		return { isValid: false, message: 'This does not appear to be a valid game file. Game files should start with "Title: [name]".' };
-	}
+	const lines = text.split(/\r?\n/);
+	const board = { title: '', teams: [], columns: null, rows: null, imageFolder: '', timer: '', timeout: '', rounds: [], final: null };
+	let currentRound = null;
+	let currentCategory = null;
+	let inFinal = false;
+	let lineNumber = 0;
+	let indent = 0;
+
+	const startRound = (name) => {
+		currentRound = { name, multiplier: '1', dailyDoubles: '', timer: '', categories: [] };
+		board.rounds.push(currentRound);
+		currentCategory = null;
+		inFinal = false;
+		if (trace) trace.locations.set(currentRound, { line: lineNumber });
+	};
 
-	// Count categories and questions to ensure completeness
-	let categoryCount = 0;
-	let hasIncompleteCategory = false;
-	let currentCategoryQuestions = 0;
+	// Record the line a header was found on, for the board or the current round
+	const traceHeader = (key, target = board) => {
+		if (trace) {
+			const location = target === board ? trace.headers : trace.locations.get(target);
+			location[key] = lineNumber;
+		}
+	};
 
-	for (let line of lines) {
-		line = line.trim();
-		if (line.toLowerCase().startsWith('category:')) {
-			if (categoryCount > 0 && currentCategoryQuestions < 5) {
-				hasIncompleteCategory = true;
+	for (let rawLine of lines) {
+		lineNumber++;
+		const line = rawLine.trim();
+		indent = rawLine.length - rawLine.trimStart().length;
+		if (!line || line === '[JEOPARDY DRAFT]') continue;
+
+		const lowerLine = line.toLowerCase();
+		if (lowerLine.startsWith('title:')) {
+			board.title = unescapeText(line.substring(6).trim());
+			traceHeader('title');
+		} else if (lowerLine.startsWith('teams:')) {
+			board.teams = splitEscaped(line.substring(6), ',')
+				.map(name => unescapeText(name.trim()))
+				.filter(name => name)
+				.map(name => ({ name, score: 0 }));
+		} else if (lowerLine.startsWith('columns:')) {
+			board.columns = line.substring(8).trim();
+			traceHeader('columns');
+		} else if (lowerLine.startsWith('rows:')) {
+			board.rows = line.substring(5).trim();
+			traceHeader('rows');
+		} else if (lowerLine.startsWith('images:')) {
+			board.imageFolder = unescapeText(line.substring(7).trim());
+		} else if (lowerLine.startsWith('timer:')) {
+			// Before any round it's the game's timer, otherwise the current round's
+			(currentRound || board).timer = line.substring(6).trim();
+			traceHeader('timer', currentRound || board);
+		} else if (lowerLine.startsWith('timeout:')) {
+			board.timeout = line.substring(8).trim().toLowerCase();
+			traceHeader('timeout');
+		} else if (/^final(\s+jeopardy)?\s*:/.test(lowerLine)) {
+			// Final: Category, followed by a CLUE|RESPONSE line
+			board.final = { category: unescapeText(line.substring(line.indexOf(':') + 1).trim()), question: '', answer: '' };
+			inFinal = true;
+			if (trace) trace.locations.set(board.final, { line: lineNumber });
+		} else if (inFinal && splitEscaped(line, '|').length > 1) {
+			const parts = splitEscaped(line, '|');
+			board.final.question = unescapeText(parts[0].trim());
+			board.final.answer = unescapeText(parts.slice(1).join('|').trim());
+			inFinal = false;
+			if (trace) {
+				const [question, answer] = getPartColumns(parts, indent);
+				Object.assign(trace.locations.get(board.final), { clueLine: lineNumber, question, answer });
 			}
-			categoryCount++;
-			currentCategoryQuestions = 0;
-		} else if (/^\d+\|/.test(line)) {
-			const parts = line.split('|');
-			if (parts.length >= 3 && parts[1].trim() && parts[2].trim()) {
-				currentCategoryQuestions++;
+		} else if (lowerLine.startsWith('round:')) {
+			startRound(unescapeText(line.substring(6).trim()));
+		} else if (lowerLine.startsWith('multiplier:')) {
+			if (!currentRound) startRound('');
+			currentRound.multiplier = line.substring(11).trim();
+			traceHeader('multiplier', currentRound);
+		} else if (/^daily\s*doubles?\s*:/.test(lowerLine)) {
+			if (!currentRound) startRound('');
+			currentRound.dailyDoubles = line.substring(line.indexOf(':') + 1).trim();
+			traceHeader('dailyDoubles', currentRound);
+		} else if (lowerLine.startsWith('category:')) {
+			if (!currentRound) startRound('');
+			inFinal = false;
+			currentCategory = { name: unescapeText(line.substring(9).trim()), clues: [] };
+			currentRound.categories.push(currentCategory);
+			if (trace) trace.locations.set(currentCategory, { line: lineNumber });
+		} else if (lowerLine.startsWith('note:')) {
+			// Host note for the clue above it
+			const lastClue = currentCategory && currentCategory.clues[currentCategory.clues.length - 1];
+			if (lastClue) {
+				lastClue.note = unescapeText(line.substring(5).trim());
+			} else if (trace) {
+				trace.skipped.push({ line: lineNumber, column: indent + 1, text: line, reason: 'note' });
+			}
+		} else if (/^\d*\s*(dd)?\s*\|/.test(lowerLine) && currentCategory && splitEscaped(line, '|').length >= 3) {
+			// Parse value|clue|response line (drafts may leave the value empty); unescaped pipes
+			// after the clue are kept as part of the response, as older files relied on
+			const parts = splitEscaped(line, '|');
+			const [, value, dailyDouble] = parts[0].trim().match(/^(\d*)\s*(dd)?$/i);
+			const clue = {
+				value,
+				dailyDouble: Boolean(dailyDouble),
+				// - question: the clue shown first to players
+				// - answer: the correct response revealed with "Show Answer" (in question form)
+				question: unescapeText(parts[1].trim()),
+				answer: unescapeText(parts.slice(2).join('|').trim()),
+				note: ''
+			};
+			currentCategory.clues.push(clue);
+			if (trace) {
+				const [valueColumn, question, answer] = getPartColumns(parts, indent);
+				trace.locations.set(clue, { line: lineNumber, value: valueColumn, question, answer });
 			}
+		} else if (trace) {
+			// Lines the parser can't place, kept so the file checks can explain them
+			trace.skipped.push({
+				line: lineNumber,
+				column: indent + 1,
+				text: line,
+				reason: inFinal ? 'final' : currentCategory ? 'clue' : 'unknown',
+				parts: splitEscaped(line, '|'),
+				round: currentRound,
+				category: currentCategory,
+				clueIndex: currentCategory ? currentCategory.clues.length : null
+			});
 		}
 	}
 
-	// Check last category
-	if (currentCategoryQuestions < 5) {
-		hasIncompleteCategory = true;
-		console.log("it's the last one with " + currentCategoryQuestions + " questions")
-	}
+	if (board.rounds.length === 0) startRound('');
+
+	return applyBoardSize(board);
+}
+
+// Fall back to the content's own shape when no size headers were given
+function applyBoardSize(board) {
+	const allCategories = board.rounds.flatMap(round => round.categories);
+	const widestRound = board.rounds.reduce((max, round) => Math.max(max, round.categories.length), 0);
+	const longestCategory = allCategories.reduce((max, category) => Math.max(max, category.clues.length), 0);
+	board.columns = clampDimension(board.columns || widestRound, DEFAULT_COLUMNS, MAX_COLUMNS);
+	board.rows = clampDimension(board.rows || longestCategory, DEFAULT_ROWS, MAX_ROWS);
+
+	return board;
+}
+
+// Where parseBoardText found things: header line numbers (title, columns, rows, timer, timeout),
+// a map from each round, category, clue and Final section to its line and field columns, and
+// the lines it skipped. The board itself stays free of source positions.
+function createParseTrace() {
+	return { headers: {}, locations: new Map(), skipped: [] };
+}
+
+// 1-based column where each |-separated part's text starts
+function getPartColumns(parts, indent) {
+	let offset = indent;
+	return parts.map(part => {
+		const column = offset + (part.length - part.trimStart().length) + 1;
+		offset += part.length + 1;
+		return column;
+	});
+}
+
+// --- JSON Game Format ---
+// A versioned JSON alternative to the text format, described by schema/jeopardy-game.schema.json.
+// It holds the same fields as parseBoardText's result, with numbers as numbers and unset ones as
+// null; drafts add "draft": true and their team names. Text and JSON convert into each other
+// without losing anything, so either can be opened, played and saved as the other.
+const GAME_FORMAT = 'jeopardy-game';
+const GAME_FORMAT_VERSION = 1;
+
+function isJsonGameText(text) {
+	return /^\s*\{/.test(text);
+}
 
-	if (categoryCount < 5) {
-		return { isValid: false, message: 'This game file is incomplete. It should have 5 categories with 5 questions each. Please use the "Edit" button instead.' };
+// True for files marked [JEOPARDY DRAFT], or JSON files with "draft": true
+function isDraftFile(text) {
+	if (!isJsonGameText(text)) {
+		return text.split(/\r?\n/).some(line => line.trim() === '[JEOPARDY DRAFT]');
+	}
+	try {
+		return JSON.parse(text).draft === true;
+	} catch (error) {
+		return false;
 	}
+}
+
+// Whole numbers are written as numbers and blanks as null; anything else (an unfinished
+// draft's "abc") is kept as the string it was typed as
+function toJsonNumber(value) {
+	const text = value === undefined || value === null ? '' : String(value).trim();
+	if (text === '') return null;
+	return /^\d+$/.test(text) ? Number(text) : text;
+}
+
+function fromJsonValue(value) {
+	return value === undefined || value === null ? '' : String(value);
+}
 
-	if (hasIncompleteCategory) {
-		return { isValid: false, message: 'This game file has incomplete categories (missing questions/answers). Please use the "Edit" button instead.' };
+// Build the JSON object for a parsed board or gathered form data
+function boardToJson(board, { draft = false } = {}) {
+	const json = { format: GAME_FORMAT, version: GAME_FORMAT_VERSION };
+	if (draft) {
+		json.draft = true;
+		json.created = new Date().toISOString();
+		json.teams = (board.teams || []).map(team => team.name);
 	}
 
-	return { isValid: true, type: 'complete' };
+	const final = board.final;
+	return Object.assign(json, {
+		title: board.title,
+		columns: toJsonNumber(board.columns),
+		rows: toJsonNumber(board.rows),
+		imageFolder: board.imageFolder || null,
+		timer: toJsonNumber(board.timer),
+		timeout: board.timeout || null,
+		rounds: board.rounds.map(round => ({
+			name: round.name,
+			multiplier: toJsonNumber(round.multiplier),
+			dailyDoubles: toJsonNumber(round.dailyDoubles),
+			timer: toJsonNumber(round.timer),
+			categories: round.categories.map(category => ({
+				name: category.name,
+				clues: category.clues.map(clue => ({
+					value: toJsonNumber(clue.value),
+					dailyDouble: Boolean(clue.dailyDouble),
+					question: clue.question,
+					answer: clue.answer,
+					note: clue.note || ''
+				}))
+			}))
+		})),
+		final: final && (final.category || final.question || final.answer)
+			? { category: final.category, question: final.question, answer: final.answer }
+			: null
+	});
 }
 
-// When a draft file is uploaded, read it and handle appropriately
-document.getElementById('jeopardy-draft-upload').addEventListener('change', function (e) {
-	const file = e.target.files[0];
-	if (!file) return;
+function serializeBoardJson(board, options) {
+	return JSON.stringify(boardToJson(board, options), null, 2) + '\n';
+}
 
-	const reader = new FileReader();
-	reader.onload = async function (evt) {
-		const fileText = evt.target.result;
-		const validation = validateDraftFile(fileText);
+// Parse JSON game text into the same shape as parseBoardText; throws with a readable message
+// when the file isn't a game file this version understands
+function parseBoardJson(text) {
+	let data;
+	try {
+		data = JSON.parse(text);
+	} catch (error) {
+		throw new Error(`This JSON file could not be read: ${error.message}`);
+	}
 
-		if (!validation.isValid) {
-			CustomDialog.error(validation.message);
-			e.target.value = ''; // Clear the file input
-			return;
-		}
+	if (!data || data.format !== GAME_FORMAT) {
+		throw new Error(`This JSON file is not a Jeopardy game file (its "format" should be "${GAME_FORMAT}").`);
+	}
+	if (!Number.isInteger(data.version) || data.version < 1 || data.version > GAME_FORMAT_VERSION) {
+		throw new Error(`This game file uses format version ${data.version}, which this version of Jeopardy can't read.`);
+	}
 
-		// Check if it's a draft that should be imported to the form
-		if (fileText.includes('[JEOPARDY DRAFT]')) {
-			// Show the create form and import the draft
-			document.getElementById('create-form').classList.remove('hide');
-			document.getElementById('file-teams-setup').classList.add('hide');
+	const list = value => Array.isArray(value) ? value : [];
+	const board = {
+		title: fromJsonValue(data.title).trim(),
+		teams: list(data.teams).map(name => fromJsonValue(name).trim()).filter(name => name).map(name => ({ name, score: 0 })),
+		columns: fromJsonValue(data.columns),
+		rows: fromJsonValue(data.rows),
+		imageFolder: fromJsonValue(data.imageFolder).trim(),
+		timer: fromJsonValue(data.timer),
+		timeout: fromJsonValue(data.timeout).toLowerCase(),
+		rounds: list(data.rounds).map(round => ({
+			name: fromJsonValue(round.name),
+			multiplier: fromJsonValue(round.multiplier) || '1',
+			dailyDoubles: fromJsonValue(round.dailyDoubles),
+			timer: fromJsonValue(round.timer),
+			categories: list(round.categories).map(category => ({
+				name: fromJsonValue(category.name),
+				clues: list(category.clues).map(clue => ({
+					value: fromJsonValue(clue.value),
+					dailyDouble: clue.dailyDouble === true,
+					question: fromJsonValue(clue.question),
+					answer: fromJsonValue(clue.answer),
+					note: fromJsonValue(clue.note)
+				}))
+			}))
+		})),
+		final: data.final ? {
+			category: fromJsonValue(data.final.category),
+			question: fromJsonValue(data.final.question),
+			answer: fromJsonValue(data.final.answer)
+		} : null
+	};
 
-			// Initialize the form first
-			reinitializeForm();
+	if (board.rounds.length === 0) {
+		board.rounds.push({ name: '', multiplier: '1', dailyDoubles: '', timer: '', categories: [] });
+	}
 
-			// Use the existing import functionality with a mock file object
-			const mockFile = {
-				name: file.name,
-				size: file.size
-			};
+	return applyBoardSize(board);
+}
 
-			// Create a new reader for the import function
-			const importReader = new FileReader();
-			importReader.onload = function (importEvt) {
-				try {
-					const fileContent = importEvt.target.result;
-
-					// Parse the draft file content (same logic as importFormDraft)
-					const lines = fileContent.split(/\r?\n/);
-					let title = '';
-					let teams = [];
-					let categories = [];
-					let currentCategory = null;
-					let currentClues = [];
-
-					for (let line of lines) {
-						line = line.trim();
-						if (!line || line === '[JEOPARDY DRAFT]') continue;
-
-						if (line.toLowerCase().startsWith('title:')) {
-							title = line.substring(6).trim();
-						} else if (line.toLowerCase().startsWith('teams:')) {
-							const teamNames = line.substring(6).trim();
-							if (teamNames) {
-								teams = teamNames.split(',').map(name => ({
-									name: name.trim(),
-									score: 0
-								}));
-							}
-						} else if (line.toLowerCase().startsWith('created:')) {
-							// Skip the created timestamp line from exported drafts
-							continue;
-						} else if (line.toLowerCase().startsWith('category:')) {
-							// Save previous category if it exists
-							if (currentCategory) {
-								categories.push({
-									name: currentCategory,
-									clues: currentClues
-								});
-							}
-							currentCategory = line.substring(9).trim();
-							currentClues = [];
-						} else if (/^\d+\|/.test(line)) {
-							// Parse value|question|answer line
-							const parts = line.split('|');
-							if (parts.length >= 3) {
-								currentClues.push({
-									value: parts[0].trim(),
-									question: parts[1].trim(),
-									answer: parts.slice(2).join('|').trim()
-								});
-							}
-						}
-					}
+// --- Game Assets ---
+// A bundle is a JSON game file with an "assets" map from image path (images/questions/bobby.png)
+// to a data: URI, so a game can be shared as one file. Its images are kept in IndexedDB, which
+// has room for them where localStorage doesn't, and are shown in place of the image folders.
+const DB_NAME = 'jeopardy';
+const DB_VERSION = 2; // 2 adds the saved-games library (see Game Library)
+const ASSET_STORE = 'assets';
+const GAME_STORE = 'games';
+const CURRENT_ASSETS_KEY = 'current';
+
+// Images of the game on screen (path → data: URI)
+let gameAssets = {};
+// Images of the draft in the editor: uploaded into its fields or opened with it. Every draft
+// keeps its own under draft:<id>, apart from the game's, so loading a game to play or opening
+// another draft doesn't take them away.
+let draftAssets = {};
+
+function getDraftAssetsKey(id) {
+	return `draft:${id}`;
+}
 
-					// Save last category
-					if (currentCategory) {
-						categories.push({
-							name: currentCategory,
-							clues: currentClues
-						});
-					}
+function openDatabase() {
+	return new Promise((resolve, reject) => {
+		const request = indexedDB.open(DB_NAME, DB_VERSION);
+		request.onupgradeneeded = () => {
+			const db = request.result;
+			if (!db.objectStoreNames.contains(ASSET_STORE)) db.createObjectStore(ASSET_STORE);
+			if (!db.objectStoreNames.contains(GAME_STORE)) db.createObjectStore(GAME_STORE, { keyPath: 'id' });
+		};
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+}
 
-					// If no teams were found in the file, add a default team
-					if (teams.length === 0) {
-						teams = [{ name: 'Team 1', score: 0 }];
-					}
+// Run fn(objectStore) in a transaction and resolve with its request's result once committed
+async function withStore(storeName, mode, fn) {
+	const db = await openDatabase();
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction(storeName, mode);
+		const request = fn(transaction.objectStore(storeName));
+		transaction.oncomplete = () => {
+			db.close();
+			resolve(request ? request.result : undefined);
+		};
+		transaction.onerror = () => {
+			db.close();
+			reject(transaction.error);
+		};
+	});
+}
 
-					// Apply the imported data to the form
-					try {
-						// Set title
-						const titleInput = document.getElementById('board-title');
-						if (titleInput) {
-							titleInput.value = title || '';
-							if (title) {
-								titleInput.classList.add('has-content');
-							} else {
-								titleInput.classList.remove('has-content');
-							}
-						}
-
-						// Clear and rebuild form
-						const categoriesContainer = document.getElementById('categories-container');
-						categoriesContainer.innerHTML = '';
-
-						// Create 5 categories (pad with empty ones if needed)
-						for (let i = 0; i < 5; i++) {
-							addCategory();
-						}
-
-						// Populate categories with imported data
-						const categorySections = document.querySelectorAll('.category-section');
-						categories.forEach((category, index) => {
-							if (index >= 5) return; // Only handle first 5 categories
-
-							const catSection = categorySections[index];
-							if (!catSection) return;
-
-							// Set category name
-							const catNameInput = catSection.querySelector('.category-name');
-							if (catNameInput) {
-								catNameInput.value = category.name || '';
-								if (category.name) {
-									catNameInput.classList.add('has-content');
-								} else {
-									catNameInput.classList.remove('has-content');
-								}
-							}
-
-							// Set questions/answers
-							const questionItems = catSection.querySelectorAll('.question-item');
-							category.clues.forEach((clue, qIndex) => {
-								if (qIndex >= questionItems.length) return;
-
-								const qItem = questionItems[qIndex];
-								const answerInput = qItem.querySelector('.question-answer');
-								const questionInput = qItem.querySelector('.question-question');
-
-								if (answerInput) {
-									answerInput.value = clue.answer || '';
-									if (clue.answer) {
-										answerInput.classList.add('has-content');
-									} else {
-										answerInput.classList.remove('has-content');
-									}
-								}
-
-								if (questionInput) {
-									questionInput.value = clue.question || '';
-									if (clue.question) {
-										questionInput.classList.add('has-content');
-									} else {
-										questionInput.classList.remove('has-content');
-									}
-								}
-							});
-						});
-
-						// Set teams
-						formTeams = teams && teams.length > 0 ? [...teams] : [{ name: 'Team 1', score: 0 }];
-						renderFormTeams();
-
-						// Save as localStorage draft
-						saveFormDraft();
-
-						CustomDialog.success('Draft imported successfully!');
-
-					} catch (error) {
-						console.error('Error applying imported draft:', error);
-						CustomDialog.error('Error applying imported draft to form.');
-					}
+async function loadGameAssets() {
+	try {
+		gameAssets = (await withStore(ASSET_STORE, 'readonly', store => store.get(CURRENT_ASSETS_KEY))) || {};
+	} catch (error) {
+		console.error('Error loading game images:', error);
+	}
+	return gameAssets;
+}
 
-				} catch (error) {
-					console.error('Error importing draft:', error);
-					CustomDialog.error('Error importing draft file. Please check the file format.');
-				}
-			};
-			importReader.readAsText(file);
+// Replace the stored images (still usable for this session if IndexedDB isn't available)
+async function saveGameAssets(assets) {
+	gameAssets = assets;
+	try {
+		await withStore(ASSET_STORE, 'readwrite', store => store.put(assets, CURRENT_ASSETS_KEY));
+	} catch (error) {
+		console.error('Error saving game images:', error);
+	}
+}
 
-		} else {
-			// For any game file (complete or incomplete), open it in the form for editing
-			const parsedTitle = parseTitleFromText(fileText);
-			const title = parsedTitle;
+// Load a draft's images into the editor, unless another draft was opened while they loaded
+async function loadDraftAssets(id) {
+	let assets = {};
+	try {
+		assets = (await withStore(ASSET_STORE, 'readonly', store => store.get(getDraftAssetsKey(id)))) || {};
+	} catch (error) {
+		console.error('Error loading draft images:', error);
+	}
+	if (id === activeDraftId) draftAssets = assets;
+	return assets;
+}
 
-			// Show the create form and hide team setup
-			document.getElementById('create-form').classList.remove('hide');
-			document.getElementById('file-teams-setup').classList.add('hide');
+// Replace the editor's images; a draft that hasn't been saved yet stores them when it is
+async function saveDraftAssets(assets) {
+	draftAssets = assets;
+	if (!activeDraftId) return;
+	try {
+		await withStore(ASSET_STORE, 'readwrite', store => store.put(assets, getDraftAssetsKey(activeDraftId)));
+	} catch (error) {
+		console.error('Error saving draft images:', error);
+	}
+}
 
-			// Initialize the form first
-			reinitializeForm();
+async function deleteDraftAssets(id) {
+	try {
+		await withStore(ASSET_STORE, 'readwrite', store => store.delete(getDraftAssetsKey(id)));
+	} catch (error) {
+		console.error('Error deleting draft images:', error);
+	}
+}
 
-			// Create a mock file object for import
-			const mockFile = {
-				name: file.name,
-				size: file.size
-			};
+function updateImagePreviews() {
+	document.querySelectorAll('[data-image-side]').forEach(updateImagePreview);
+}
 
-			// Create a new reader for parsing the game content
-			const importReader = new FileReader();
-			importReader.onload = function (importEvt) {
-				try {
-					const fileContent = importEvt.target.result;
-
-					// Parse the game file content
-					const lines = fileContent.split(/\r?\n/);
-					let title = '';
-					let teams = [];
-					let categories = [];
-					let currentCategory = null;
-					let currentClues = [];
-
-					for (let line of lines) {
-						line = line.trim();
-						if (!line) continue;
-
-						if (line.toLowerCase().startsWith('title:')) {
-							title = line.substring(6).trim();
-						} else if (line.toLowerCase().startsWith('category:')) {
-							// Save previous category if it exists
-							if (currentCategory) {
-								categories.push({
-									name: currentCategory,
-									clues: currentClues
-								});
-							}
-							currentCategory = line.substring(9).trim();
-							currentClues = [];
-						} else if (/^\d+\|/.test(line)) {
-							// Parse value|question|answer line
-							const parts = line.split('|');
-							if (parts.length >= 3) {
-								currentClues.push({
-									value: parts[0].trim(),
-									question: parts[1].trim(),
-									answer: parts.slice(2).join('|').trim()
-								});
-							}
-						}
-					}
+// Split a bundle into the game text (without its images, which are too large for localStorage)
+// and its assets; other files come back unchanged with no assets
+function extractBundleAssets(text) {
+	if (!isJsonGameText(text)) return { text, assets: {} };
 
-					// Save last category
-					if (currentCategory) {
-						categories.push({
-							name: currentCategory,
-							clues: currentClues
-						});
-					}
+	let data;
+	try {
+		data = JSON.parse(text);
+	} catch (error) {
+		return { text, assets: {} };
+	}
+	if (!data || !data.assets || typeof data.assets !== 'object') return { text, assets: {} };
 
-					// Apply the imported data to the form
-					try {
-						// Set title
-						const titleInput = document.getElementById('board-title');
-						if (titleInput) {
-							titleInput.value = title || '';
-							if (title) {
-								titleInput.classList.add('has-content');
-							} else {
-								titleInput.classList.remove('has-content');
-							}
-						}
-
-						// Clear and rebuild form
-						const categoriesContainer = document.getElementById('categories-container');
-						categoriesContainer.innerHTML = '';
-
-						// Create 5 categories (pad with empty ones if needed)
-						for (let i = 0; i < 5; i++) {
-							addCategory();
-						}
-
-						// Populate categories with imported data
-						const categorySections = document.querySelectorAll('.category-section');
-						categories.forEach((category, index) => {
-							if (index >= 5) return; // Only handle first 5 categories
-
-							const catSection = categorySections[index];
-							if (!catSection) return;
-
-							// Set category name
-							const catNameInput = catSection.querySelector('.category-name');
-							if (catNameInput) {
-								catNameInput.value = category.name || '';
-								if (category.name) {
-									catNameInput.classList.add('has-content');
-								} else {
-									catNameInput.classList.remove('has-content');
-								}
-							}
-
-							// Set questions/answers for this category
-							const questionItems = catSection.querySelectorAll('.question-item');
-							category.clues.forEach((clue, qIndex) => {
-								if (qIndex >= 5) return; // Only handle first 5 questions
-
-								const qItem = questionItems[qIndex];
-								const questionInput = qItem.querySelector('.question-question');
-								const answerInput = qItem.querySelector('.question-answer');
-
-								if (questionInput) {
-									questionInput.value = clue.question || '';
-									if (clue.question) {
-										questionInput.classList.add('has-content');
-									} else {
-										questionInput.classList.remove('has-content');
-									}
-								}
-
-								if (answerInput) {
-									answerInput.value = clue.answer || '';
-									if (clue.answer) {
-										answerInput.classList.add('has-content');
-									} else {
-										answerInput.classList.remove('has-content');
-									}
-								}
-							});
-						});
-
-						// Save as localStorage draft
-						saveFormDraft();
-
-						CustomDialog.success('Game file imported for editing!');
-
-					} catch (error) {
-						console.error('Error applying game file to form:', error);
-						CustomDialog.error('Error applying game file to form.');
-					}
+	const assets = {};
+	Object.entries(data.assets).forEach(([path, url]) => {
+		if (typeof url === 'string' && url.startsWith('data:')) assets[path] = url;
+	});
+	delete data.assets;
+	return { text: JSON.stringify(data, null, 2) + '\n', assets };
+}
 
-				} catch (error) {
-					console.error('Error importing game file:', error);
-					CustomDialog.error('Error importing game file. Please check the file format.');
-				}
-			};
-			importReader.readAsText(file);
-		}
-	};
-	reader.readAsText(file);
+// Image types the prompt can show; a name without an extension is a .png
+const IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp', 'avif', 'bmp'];
+const DEFAULT_IMAGE_FOLDER = 'images/';
 
-	// Clear the file input
-	e.target.value = '';
-});
+// A game's Images: folder ("pics" or "pics/"), or images/ when it has none
+function normalizeImageFolder(folder) {
+	const trimmed = (folder || '').trim();
+	if (!trimmed) return DEFAULT_IMAGE_FOLDER;
+	return trimmed.endsWith('/') ? trimmed : `${trimmed}/`;
+}
 
-// When a game file is uploaded, read it and handle appropriately
-document.getElementById('jeopardy-game-upload').addEventListener('change', function (e) {
-	const file = e.target.files[0];
-	if (!file) return;
+function isImageUrl(name) {
+	return /^(https?|data):/i.test(name);
+}
 
-	const reader = new FileReader();
-	reader.onload = function (evt) {
-		const fileText = evt.target.result;
-		const validation = validateGameFile(fileText);
+// Path of the image a clue ('questions') or response ('answers') shows, or null for plain text.
+// <img>bobby is images/questions/bobby.png; an explicit extension (<img>bobby.jpg) is kept, a
+// name with a folder in it (<img>maps/europe.svg) is relative to the image folder itself, and
+// a URL is used as is.
+function getImagePath(string, side, imageFolder = '') {
+	if (!string || string.substring(0, 5) !== '<img>') return null;
+	const name = string.substring(5).trim();
+	if (!name) return null;
+	if (isImageUrl(name)) return name;
+
+	const file = /\.[a-z0-9]+$/i.test(name.split('/').pop()) ? name : `${name}.png`;
+	const folder = normalizeImageFolder(imageFolder);
+	return name.includes('/') ? folder + file : `${folder}${side}/${file}`;
+}
 
-		if (!validation.isValid) {
-			CustomDialog.alert(validation.message);
-			e.target.value = ''; // Clear the file input
-			return;
-		}
+// Audio and video clues: <audio>name plays media/questions/name.mp3 (media/answers/ for
+// responses) and <video>name plays name.mp4 from the same folders
+const MEDIA_EXTENSIONS = { audio: '.mp3', video: '.mp4' };
 
-		// Parse title from file if present
-		const parsedTitle = parseTitleFromText(fileText);
-		const title = parsedTitle;
-		saveTitle(title);
-		saveBoardText(fileText);
+// { kind: 'audio'|'video', path } for a media clue or response, or null
+function getMediaInfo(string, folder) {
+	const match = string && string.match(/^<(audio|video)>(.*)$/);
+	if (!match || !match[2].trim()) return null;
+	return { kind: match[1], path: folder + match[2].trim() + MEDIA_EXTENSIONS[match[1]] };
+}
 
-		// Hide the create form if it's visible and show team setup
-		document.getElementById('create-form').classList.add('hide');
-		document.getElementById('file-teams-setup').classList.remove('hide');
+// What's wrong with a clue's <img>/<audio>/<video> marker, or '' when it's fine (or plain text)
+function getMarkerError(string, { final = false } = {}) {
+	const match = string && string.trim().match(/^<(img|audio|video)>(.*)$/);
+	if (!match) return '';
+	const name = match[2].trim();
+	if (!name) return `<${match[1]}> needs a file name after it`;
+	if (final && match[1] !== 'img') return 'Final Jeopardy can only use text or images';
+
+	const extension = match[1] === 'img' && !isImageUrl(name) && name.split('/').pop().match(/\.([a-z0-9]+)$/i);
+	if (extension && !IMAGE_EXTENSIONS.includes(extension[1].toLowerCase())) {
+		return `"${name}" isn't a supported image type (use ${IMAGE_EXTENSIONS.join(', ')})`;
+	}
+	return '';
+}
 
-		// Keep stats table hidden until a game board is actually loaded
-		setStatsVisibility(false);
+// A bundled image if there is one, otherwise the file in the image folder (the editor passes
+// draftAssets)
+function getImageUrl(path, assets = gameAssets) {
+	return assets[path] || path;
+}
 
-		// Save the file text for later use when continuing to the game
-		window.uploadedFileText = fileText;
+// Every image path a board's clues, responses and Final Jeopardy refer to (besides data: URIs)
+function getBoardImagePaths(board) {
+	const paths = new Set();
+	const add = (string, side) => {
+		const path = getImagePath(string, side, board.imageFolder);
+		if (path && !path.startsWith('data:')) paths.add(path);
 	};
-	reader.readAsText(file);
 
-	// Clear the file input
-	e.target.value = '';
-});
+	board.rounds.forEach(round => round.categories.forEach(category => category.clues.forEach(clue => {
+		add(clue.question, 'questions');
+		add(clue.answer, 'answers');
+	})));
+	if (board.final) {
+		add(board.final.question, 'questions');
+		add(board.final.answer, 'answers');
+	}
+	return [...paths];
+}
 
-// Parse the uploaded text file and fill the board with categories, questions, and answers
-function populateJeopardyBoardFromText(text) {
-	// Generate the board structure first
-	generateGameBoard();
+function blobToDataUrl(blob) {
+	return new Promise((resolve, reject) => {
+		const reader = new FileReader();
+		reader.onload = () => resolve(reader.result);
+		reader.onerror = () => reject(reader.error);
+		reader.readAsDataURL(blob);
+	});
+}
 
-	const lines = text.split(/\r?\n/);
-	let categories = [];
-	let questions = [];
-	let currentCategory = null;
-	let currentQuestions = [];
-	for (let line of lines) {
-		line = line.trim();
-		if (!line) continue;
-		// Detect new category
-		if (line.toLowerCase().startsWith('category:')) {
-			if (currentCategory) {
-				categories.push(currentCategory);
-				questions.push(currentQuestions);
-			}
-			currentCategory = line.substring(9).trim();
-			currentQuestions = [];
-		} else if (/^\d+\|/.test(line)) {
-			// Parse value|clue|response line
-			const parts = line.split('|');
-			if (parts.length >= 3) {
-				currentQuestions.push({
-					value: parts[0].trim(),
-					// File format is: value|clue|response
-					// - question: the clue shown first to players
-					// - answer: the correct response revealed with "Show Answer" (in question form)
-					question: parts[1].trim(), // This is shown first (Jeopardy clue)
-					answer: parts.slice(2).join('|').trim() // This is shown after "Show Answer"
-				});
-			}
+async function readImageAsDataUrl(path) {
+	const response = await fetch(path);
+	if (!response.ok) throw new Error(`${path}: ${response.status}`);
+	return blobToDataUrl(await response.blob());
+}
+
+// Let the host pick the images folder; resolves with its files (none if cancelled)
+function pickImageFolder() {
+	return new Promise(resolve => {
+		const input = document.createElement('input');
+		input.type = 'file';
+		input.webkitdirectory = true;
+		input.multiple = true;
+		input.addEventListener('change', () => resolve(Array.from(input.files)));
+		input.addEventListener('cancel', () => resolve([]));
+		input.click();
+	});
+}
+
+// Gather a data: URI for every image the editor's board uses: the draft's own images first, then
+// the image folders. Browsers won't read those folders when jeopardy.html is opened as a file, so
+// the host is asked to pick the folder for anything still missing. Resolves with null if the
+// host decides not to save a bundle with images missing.
+async function collectBundleAssets(board) {
+	const assets = {};
+	const missing = [];
+
+	for (const path of getBoardImagePaths(board)) {
+		if (draftAssets[path]) {
+			assets[path] = draftAssets[path];
+			continue;
+		}
+		try {
+			assets[path] = await readImageAsDataUrl(path);
+		} catch (error) {
+			missing.push(path);
 		}
 	}
-	// Push last category/questions
-	if (currentCategory) {
-		categories.push(currentCategory);
-		questions.push(currentQuestions);
-	}
-	// Populate category headers
-	const ths = document.querySelectorAll('#game thead th');
-	ths.forEach((th, i) => {
-		if (categories[i]) th.textContent = categories[i];
-	});
-	// Populate each cell with value, question, and answer
-	for (let col = 0; col < questions.length; col++) {
-		for (let row = 0; row < questions[col].length; row++) {
-			const q = questions[col][row];
-			const cellId = `tq${row}${col}`;
-			const qId = `q${row}${col}`;
-			const aId = `aq${row}${col}`;
-			const cell = document.getElementById(cellId);
-			if (cell) {
-				cell.querySelector('h3').textContent = q.value;
-				cell.querySelector(`#${qId}`).textContent = q.question;
-				cell.querySelector(`#${aId}`).textContent = q.answer;
+
+	if (missing.length > 0) {
+		const pick = await CustomDialog.confirm(`${missing.length} image(s) couldn't be read from the images folder. Select your images folder to include them in the bundle?`, 'Add Images');
+		if (pick) {
+			// Match on the end of each file's path, so picking "images" or its parent both work
+			for (const file of await pickImageFolder()) {
+				const relativePath = file.webkitRelativePath || file.name;
+				const matches = missing.filter(path => ('/' + path).endsWith('/' + relativePath) ||
+					('/' + relativePath).endsWith('/' + path.replace(/^images\//, '')));
+				if (matches.length === 0) continue;
+				const url = await blobToDataUrl(file);
+				matches.forEach(path => { assets[path] = url; });
 			}
 		}
+
+		const stillMissing = missing.filter(path => !assets[path]);
+		if (stillMissing.length > 0) {
+			const proceed = await CustomDialog.confirm(`These images will be missing from the bundle:<br>${stillMissing.map(escapeHtml).join('<br>')}<br><br>Save it anyway?`, 'Missing Images');
+			if (!proceed) return null;
+		}
 	}
-	document.getElementById('game').classList.remove('hide');
-	addCellClickHandlers();
-	document.getElementById('upload-controls').style.display = 'none';
-	// Show the stats table when board is displayed
-	setStatsVisibility(true);
-	// Always show reset button container after board is loaded
-	const resetContainer = document.getElementById('reset-board-container');
-	if (resetContainer) resetContainer.style.display = 'block';
+
+	return assets;
 }
 
-// Generate the game board HTML structure
-function generateGameBoard() {
-	const gameBody = document.getElementById('game-body');
-	gameBody.innerHTML = '';
+// Bundles open with their images; any other file replaces the last bundle's images with none
+loadGameAssets();
+
+// --- Game Library ---
+// Every game played is kept in IndexedDB with its own progress, so loading another game or
+// closing one doesn't lose it. The localStorage keys stay the working copy of the game on screen
+// (the audience window follows them); each change to them is copied into that game's library
+// entry, and opening a game from the library copies its entry back. Entries hold:
+// { id, title, text, tags, assets, created, lastPlayed, progress: { played, total, finished }, state }
+// where state has the saved value of each GAME_STATE_KEYS key, or is null before teams are set up.
+const ACTIVE_GAME_KEY = 'jeopardyGameId';
+const GAME_STATE_KEYS = {
+	teams: 'jeopardyTeams',
+	usedCells: 'jeopardyUsedCells',
+	round: 'jeopardyRound',
+	final: 'jeopardyFinal',
+	dailyDoubles: 'jeopardyDailyDoubles',
+	scoreHistory: 'jeopardyScoreHistory',
+	prompt: 'jeopardyPrompt'
+};
 
-	for (let row = 0; row < 5; row++) {
-		const tr = document.createElement('tr');
-		for (let col = 0; col < 5; col++) {
-			const value = (row + 1) * 100;
-			const td = document.createElement('td');
-			td.id = `tq${row}${col}`;
-			td.innerHTML = `
-        <h3>${value}</h3>
-        <div class="hide">
-            <div id="q${row}${col}"></div>
-            <div id="aq${row}${col}"></div>
-        </div>
-        `;
-			tr.appendChild(td);
-		}
-		gameBody.appendChild(tr);
-	}
+let librarySaveQueued = false;
+let librarySaves = Promise.resolve();
+
+function createGameId() {
+	return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
 }
 
-// On page load, try to restore from localStorage if possible
-document.addEventListener('DOMContentLoaded', function () {
-	// Ensure stats is hidden by default (only show when board is loaded)
-	setStatsVisibility(false);
+function getLibraryGames() {
+	return withStore(GAME_STORE, 'readonly', store => store.getAll());
+}
 
-	const saved = loadBoardText();
-	// Restore title
-	let savedTitle = loadTitle();
-	// If no savedTitle, try to parse from saved board text
-	if (!savedTitle && saved) {
-		savedTitle = parseTitleFromText(saved);
-		if (savedTitle) saveTitle(savedTitle);
+function getLibraryGame(id) {
+	return withStore(GAME_STORE, 'readonly', store => store.get(id));
+}
+
+function putLibraryGame(game) {
+	return withStore(GAME_STORE, 'readwrite', store => store.put(game));
+}
+
+function deleteLibraryGame(id) {
+	return withStore(GAME_STORE, 'readwrite', store => store.delete(id));
+}
+
+// Read a game and write back update(game) in one transaction (nothing is written if it's gone)
+function updateLibraryGame(id, update) {
+	return withStore(GAME_STORE, 'readwrite', store => {
+		const request = store.get(id);
+		request.onsuccess = () => {
+			if (request.result) store.put(update(request.result));
+		};
+		return request;
+	});
+}
+
+// How much of a game has been played: every clue of the rounds before the current one, plus the
+// clues used in it
+function getGameProgress(text, state) {
+	let board;
+	try {
+		board = parseBoardText(text);
+	} catch (error) {
+		return { played: 0, total: 0, finished: false };
 	}
-	const titleElem = document.getElementById('title');
+	const perRound = board.columns * board.rows;
+	const round = Math.min(parseInt(state.round, 10) || 0, board.rounds.length - 1);
+	const used = Array.isArray(state.usedCells) ? state.usedCells.length : 0;
+	return {
+		played: Math.min(round * perRound + used, board.rounds.length * perRound),
+		total: board.rounds.length * perRound,
+		finished: Boolean(state.final && state.final.stage === 'done')
+	};
+}
+
+// The entry fields that follow the game on screen: its text, progress and saved state
+function getLibraryChanges(text) {
+	const state = {};
+	Object.entries(GAME_STATE_KEYS).forEach(([field, key]) => {
+		state[field] = storage.load(key);
+	});
+	const started = Array.isArray(state.teams) && state.teams.length > 0;
+	return {
+		text,
+		progress: getGameProgress(text, state),
+		state: started ? state : null,
+		lastPlayed: started ? new Date().toISOString() : null
+	};
+}
+
+// Copy the game on screen into its library entry once the current change is done (several keys
+// are usually saved together); the slot is read now, so a game opened next can't be mixed in
+function queueLibrarySave() {
+	if (isAudienceView || librarySaveQueued) return;
+	librarySaveQueued = true;
+	queueMicrotask(() => {
+		librarySaveQueued = false;
+		const id = storage.load(ACTIVE_GAME_KEY);
+		const text = loadBoardText();
+		if (!id || !text) return;
+
+		const changes = getLibraryChanges(text);
+		librarySaves = librarySaves.then(() =>
+			updateLibraryGame(id, game => ({ ...game, ...changes, lastPlayed: changes.lastPlayed || game.lastPlayed }))
+		).catch(error => console.error('Error saving game to library:', error));
+	});
+}
+
+// Give the game on screen a library entry once its teams are set up. Playing a board again (for
+// another class, say) adds a new entry, so the first game's progress is kept; only an entry for
+// the same board that was never started is taken over instead.
+async function addGameToLibrary() {
+	const text = loadBoardText();
+	if (isAudienceView || !text || storage.load(ACTIVE_GAME_KEY) || storage.load('jeopardyTeams', []).length === 0) return;
+
+	let id;
+	try {
+		await librarySaves;
+		const existing = (await getLibraryGames()).find(game => game.text === text && !game.state);
+		id = existing ? existing.id : createGameId();
+		if (!existing) {
+			await putLibraryGame({ id, title: loadTitle() || parseTitleFromText(text), tags: [], assets: gameAssets, created: new Date().toISOString(), ...getLibraryChanges(text) });
+		}
+	} catch (error) {
+		console.error('Error adding game to library:', error);
+		return;
+	}
+
+	// Another game may have been put on screen in the meantime
+	if (loadBoardText() !== text || storage.load(ACTIVE_GAME_KEY)) return;
+	storage.save(ACTIVE_GAME_KEY, id);
+	queueLibrarySave();
+}
+
+// Make a game the active one: its text, title and images, plus its saved state if it has one
+// (a library game keeps its id; anything else joins the library through addGameToLibrary)
+// If it doesn't fit (the browser's storage is full), the game that was on screen is put back as
+// it was and the error is thrown on.
+async function writeGameSlot({ id = null, text, title, assets, state }) {
+	const previousAssets = gameAssets;
+	const previousSlot = {};
+	['jeopardyBoard', 'jeopardyTitle', ACTIVE_GAME_KEY, ...Object.values(GAME_STATE_KEYS)].forEach(key => {
+		previousSlot[key] = localStorage.getItem(key);
+	});
+
+	clearAllStorage();
+	await saveGameAssets(assets || {});
+	try {
+		storage.save('jeopardyBoard', text);
+		storage.save('jeopardyTitle', title);
+		if (id) storage.save(ACTIVE_GAME_KEY, id);
+
+		if (state) {
+			Object.entries(GAME_STATE_KEYS).forEach(([field, key]) => {
+				if (state[field] !== null && state[field] !== undefined) storage.save(key, state[field]);
+			});
+		}
+	} catch (error) {
+		clearAllStorage();
+		Object.entries(previousSlot).forEach(([key, value]) => {
+			if (value !== null) localStorage.setItem(key, value);
+		});
+		await saveGameAssets(previousAssets);
+		throw error;
+	}
+}
+
+// Put a library game on screen: straight back into play if it has teams, otherwise to team setup
+async function openLibraryGame(id) {
+	const game = await getLibraryGame(id);
+	if (!game) return;
+
+	await writeGameSlot(game);
+	if (game.state) {
+		notifyAudience('reset');
+		location.reload();
+		return;
+	}
+
+	fileTeams = [];
+	initializeFileTeams();
+	window.uploadedFileText = game.text;
+	document.getElementById('create-form').classList.add('hide');
+	document.getElementById('file-teams-setup').classList.remove('hide');
+}
+
+// Rewrite a game's title in its text, keeping its format
+function setGameTextTitle(text, title) {
+	const board = parseBoardText(text);
+	board.title = title;
+	return isJsonGameText(text) ? serializeBoardJson(board) : serializeBoardText(board);
+}
+
+async function duplicateLibraryGame(id) {
+	const game = await getLibraryGame(id);
+	if (!game) return;
+	const title = `${game.title} (copy)`;
+	await putLibraryGame({
+		...game,
+		id: createGameId(),
+		title,
+		text: setGameTextTitle(game.text, title),
+		tags: [...(game.tags || [])],
+		created: new Date().toISOString(),
+		lastPlayed: null,
+		progress: getGameProgress(game.text, {}),
+		state: null
+	});
+}
+
+async function renameLibraryGame(id) {
+	const game = await getLibraryGame(id);
+	if (!game) return;
+	const title = await CustomDialog.prompt('New name for this game:', 'Rename Game', game.title);
+	if (title === null || !title.trim()) return;
+	await updateLibraryGame(id, current => ({ ...current, title: title.trim(), text: setGameTextTitle(current.text, title.trim()) }));
+}
+
+async function tagLibraryGame(id) {
+	const game = await getLibraryGame(id);
+	if (!game) return;
+	const tags = await CustomDialog.prompt('Tags, separated by commas (e.g. "Period 3, science"):', 'Edit Tags', (game.tags || []).join(', '));
+	if (tags === null) return;
+	await updateLibraryGame(id, current => ({ ...current, tags: [...new Set(tags.split(',').map(tag => tag.trim()).filter(Boolean))] }));
+}
+
+async function removeLibraryGame(id) {
+	const game = await getLibraryGame(id);
+	if (!game) return;
+	const confirmed = await CustomDialog.confirm(`Delete "${escapeHtml(game.title)}" and its progress from the library? This can't be undone.`, 'Delete Game');
+	if (confirmed) await deleteLibraryGame(id);
+}
+
+// Download a game as it was loaded: a bundle when it has images of its own, otherwise its text
+async function exportLibraryGame(id) {
+	const game = await getLibraryGame(id);
+	if (!game) return;
+	const name = (game.title || 'jeopardy').replace(/\s+/g, '-').toLowerCase();
+	if (game.assets && Object.keys(game.assets).length > 0) {
+		const data = { ...boardToJson(parseBoardText(game.text)), assets: game.assets };
+		downloadBoardFile(JSON.stringify(data, null, 2) + '\n', `${name}.json`, 'application/json');
+	} else if (isJsonGameText(game.text)) {
+		downloadBoardFile(game.text, `${name}.json`, 'application/json');
+	} else {
+		downloadBoardFile(game.text, `${name}.txt`);
+	}
+}
+
+function formatGameProgress(progress) {
+	if (!progress || !progress.total) return '';
+	if (progress.finished) return 'Finished';
+	if (progress.played === 0) return 'Not started';
+	return `${progress.played} of ${progress.total} clues played`;
+}
+
+// List the library's games, most recently played first, filtered by the search box
+async function renderGameLibrary() {
+	const list = document.getElementById('library-list');
+	const empty = document.getElementById('library-empty');
+	if (!list) return;
+
+	let games;
+	try {
+		games = await getLibraryGames();
+	} catch (error) {
+		console.error('Error loading game library:', error);
+		games = [];
+	}
+
+	const search = document.getElementById('library-search').value.trim().toLowerCase();
+	const shown = games
+		.filter(game => !search || game.title.toLowerCase().includes(search) || (game.tags || []).some(tag => tag.toLowerCase().includes(search)))
+		.sort((a, b) => (b.lastPlayed || b.created).localeCompare(a.lastPlayed || a.created));
+
+	list.innerHTML = '';
+	empty.textContent = games.length === 0
+		? 'Games you create or play are kept here.'
+		: 'No games match your search.';
+	empty.style.display = shown.length === 0 ? 'block' : 'none';
+
+	shown.forEach(game => {
+		const item = document.createElement('li');
+		item.className = 'library-game';
+		item.dataset.id = game.id;
+		item.innerHTML = `
+            <div class="library-game-info">
+                <strong class="library-game-title"></strong>
+                <span class="library-game-meta"></span>
+                <span class="library-game-tags"></span>
+            </div>
+            <div class="library-game-actions">
+                <button data-action="open">Open</button>
+                <button data-action="duplicate" class="secondary-btn">Duplicate</button>
+                <button data-action="rename" class="secondary-btn">Rename</button>
+                <button data-action="tags" class="secondary-btn">Tags</button>
+                <button data-action="export" class="secondary-btn">Export</button>
+                <button data-action="delete" class="secondary-btn">Delete</button>
+            </div>
+        `;
+		item.querySelector('.library-game-title').textContent = game.title || 'Untitled game';
+		item.querySelector('.library-game-meta').textContent = [
+			game.lastPlayed ? `Last played ${new Date(game.lastPlayed).toLocaleString()}` : 'Never played',
+			formatGameProgress(game.progress)
+		].filter(Boolean).join(' · ');
+		(game.tags || []).forEach(tag => {
+			const chip = document.createElement('span');
+			chip.className = 'library-tag';
+			chip.textContent = tag;
+			item.querySelector('.library-game-tags').appendChild(chip);
+		});
+		list.appendChild(item);
+	});
+}
+
+const LIBRARY_ACTIONS = {
+	open: openLibraryGame,
+	duplicate: duplicateLibraryGame,
+	rename: renameLibraryGame,
+	tags: tagLibraryGame,
+	export: exportLibraryGame,
+	delete: removeLibraryGame
+};
+
+document.getElementById('library-list').addEventListener('click', async function (e) {
+	const button = e.target.closest('button[data-action]');
+	if (!button) return;
+	const id = button.closest('.library-game').dataset.id;
+	try {
+		await LIBRARY_ACTIONS[button.dataset.action](id);
+	} catch (error) {
+		console.error('Error updating game library:', error);
+		CustomDialog.error('The game library could not be updated.');
+	}
+	if (button.dataset.action !== 'open') renderGameLibrary();
+});
+
+document.getElementById('library-search').addEventListener('input', renderGameLibrary);
+
+// Show the library on the home screen, adding a game left on screen from before it existed
+document.addEventListener('DOMContentLoaded', async function () {
+	if (isAudienceView) return;
+	await addGameToLibrary();
+	await librarySaves;
+	renderGameLibrary();
+});
+
+// --- Session Files ---
+// Moves a game in progress to another machine (say, when the presenting laptop dies): one file
+// with the board text, the teams and their scores, the used clues, the round, Daily Doubles,
+// Final Jeopardy, the score history and any uploaded images. Resuming it reloads straight back
+// into the game in exactly that state, without team setup.
+const SESSION_FORMAT = 'jeopardy-session';
+const SESSION_VERSION = 1;
+
+function createSessionFile() {
+	const text = loadBoardText();
+	const state = {};
+	Object.entries(GAME_STATE_KEYS).forEach(([field, key]) => {
+		state[field] = storage.load(key);
+	});
+	const session = {
+		format: SESSION_FORMAT,
+		version: SESSION_VERSION,
+		exported: new Date().toISOString(),
+		title: loadTitle() || parseTitleFromText(text),
+		board: text,
+		state
+	};
+	if (Object.keys(gameAssets).length > 0) session.assets = gameAssets;
+	return JSON.stringify(session, null, 2) + '\n';
+}
+
+function exportSession() {
+	if (!loadBoardText()) return;
+	const name = (loadTitle() || 'jeopardy').replace(/\s+/g, '-').toLowerCase();
+	downloadBoardFile(createSessionFile(), `${name}-session.json`, 'application/json');
+}
+
+// Read a session file, throwing an Error that says what's wrong with it
+function parseSessionFile(text) {
+	let session;
+	try {
+		session = JSON.parse(text);
+	} catch (error) {
+		session = null;
+	}
+	if (!session || session.format !== SESSION_FORMAT) {
+		throw new Error("This isn't a session file. Click 'Export Session' during a game to make one (game files open with Play).");
+	}
+	if (session.version > SESSION_VERSION) {
+		throw new Error(`This session file is version ${session.version}, but this version of the app only reads up to version ${SESSION_VERSION}.`);
+	}
+	if (typeof session.board !== 'string' || !session.board.trim()) {
+		throw new Error('The session file has no game board in it.');
+	}
+
+	const validation = validateGameFile(session.board);
+	if (!validation.isValid) {
+		throw new Error(`The game board in the session file can't be played:${formatProblems(validation.problems.filter(problem => problem.severity === 'error'))}`);
+	}
+
+	const state = session.state || {};
+	const hasTeams = Array.isArray(state.teams) && state.teams.length > 0 &&
+		state.teams.every(team => team && typeof team.name === 'string' && Number.isFinite(team.score));
+	if (!hasTeams) {
+		throw new Error('The session file has no teams and scores in it.');
+	}
+	if (state.usedCells != null && !(Array.isArray(state.usedCells) && state.usedCells.every(id => typeof id === 'string'))) {
+		throw new Error('The session file\'s list of played clues is damaged.');
+	}
+	if (session.assets != null && typeof session.assets !== 'object') {
+		throw new Error('The session file\'s images are damaged.');
+	}
+	return session;
+}
+
+// Reload into a session file's game (it's added to the library as a game of its own)
+async function resumeSession(session) {
+	await writeGameSlot({
+		text: session.board,
+		title: session.title || parseTitleFromText(session.board),
+		assets: session.assets,
+		state: session.state
+	});
+	await addGameToLibrary();
+	notifyAudience('reset');
+	location.reload();
+}
+
+document.getElementById('export-session').addEventListener('click', exportSession);
+
+document.getElementById('resume-session').addEventListener('click', function () {
+	// Remove draft notification if present
+	const draftNotification = document.getElementById('draft-notification');
+	if (draftNotification) {
+		draftNotification.remove();
+	}
+
+	document.getElementById('jeopardy-session-upload').click();
+});
+
+document.getElementById('jeopardy-session-upload').addEventListener('change', function (e) {
+	const file = e.target.files[0];
+	if (!file) return;
+
+	const reader = new FileReader();
+	reader.onload = async function (evt) {
+		let session;
+		try {
+			session = parseSessionFile(evt.target.result);
+		} catch (error) {
+			CustomDialog.error(error.message, "Can't Resume Session");
+			return;
+		}
+		try {
+			await resumeSession(session);
+		} catch (error) {
+			console.error('Error resuming session:', error);
+			CustomDialog.error(isQuotaExceeded(error)
+				? 'There isn\'t room in the browser\'s storage for this session, so the game that was open is still on screen.<br><br>Delete drafts or saved games you no longer need, then try again.'
+				: 'The session couldn\'t be loaded, so the game that was open is still on screen.', "Can't Resume Session");
+		}
+	};
+	reader.readAsText(file);
+
+	// Clear the file input
+	e.target.value = '';
+});
+
+// --- Media Check ---
+// Before a game starts (and from the editor's Check Media button), try loading every image,
+// sound and video the board uses, so missing files turn up before a contestant picks them.
+const MEDIA_CHECK_TIMEOUT_MS = 10000;
+
+// Every image/media reference on a board or form data, labelled with where it's used
+function getBoardMediaReferences(board) {
+	const references = [];
+	const add = (string, side, label) => {
+		const imagePath = getImagePath(string, side, board.imageFolder);
+		const media = getMediaInfo(string, `media/${side}/`);
+		if (imagePath) {
+			references.push({ kind: 'img', path: imagePath, label });
+		} else if (media) {
+			references.push({ kind: media.kind, path: media.path, label });
+		}
+	};
+
+	const rounds = getBoardRounds(board);
+	rounds.forEach((round, roundIndex) => {
+		const roundLabel = rounds.length > 1 ? `${getRoundName(round, roundIndex)}: ` : '';
+		round.categories.forEach((category, categoryIndex) => {
+			const categoryName = category.name || `Category ${categoryIndex + 1}`;
+			category.clues.forEach(clue => {
+				const where = `${roundLabel}${categoryName} ${clue.value}`;
+				add(clue.question, 'questions', `${where} (clue)`);
+				add(clue.answer, 'answers', `${where} (response)`);
+			});
+		});
+	});
+	if (board.final) {
+		add(board.final.question, 'questions', 'Final Jeopardy (clue)');
+		add(board.final.answer, 'answers', 'Final Jeopardy (response)');
+	}
+	return references;
+}
+
+// Resolves true once the file loads, false if it fails or takes too long
+function checkMediaFile({ kind, path }) {
+	return new Promise(resolve => {
+		const element = kind === 'img' ? new Image() : document.createElement(kind);
+		const timeoutId = setTimeout(() => finish(false), MEDIA_CHECK_TIMEOUT_MS);
+		const finish = (loaded) => {
+			clearTimeout(timeoutId);
+			element.onload = element.onloadedmetadata = element.onerror = null;
+			resolve(loaded);
+		};
+
+		element.onerror = () => finish(false);
+		if (kind === 'img') {
+			element.onload = () => finish(true);
+		} else {
+			element.preload = 'metadata';
+			element.onloadedmetadata = () => finish(true);
+		}
+		element.src = kind === 'img' ? getImageUrl(path) : path;
+	});
+}
+
+// The references whose files couldn't be loaded (each file is only tried once)
+async function findMissingMedia(board) {
+	const references = getBoardMediaReferences(board);
+	const results = {};
+	await Promise.all([...new Set(references.map(reference => reference.path))].map(async path => {
+		results[path] = await checkMediaFile(references.find(reference => reference.path === path));
+	}));
+	return { total: references.length, missing: references.filter(reference => !results[reference.path]) };
+}
+
+// One line per missing file for a CustomDialog message
+function formatMissingMedia(missing) {
+	const lines = missing.map(reference => `${escapeHtml(reference.label)}: ${escapeHtml(reference.path)}`);
+	return `<br><br>${lines.join('<br>')}`;
+}
+
+function escapeHtml(text) {
+	const div = document.createElement('div');
+	div.textContent = text;
+	return div.innerHTML;
+}
+
+// Play flow: resolves true to go ahead, false when the host would rather fix missing files first
+async function confirmBoardMedia(board) {
+	const { missing } = await findMissingMedia(board);
+	if (missing.length === 0) return true;
+
+	return CustomDialog.confirm(`${missing.length} image or media file(s) couldn't be loaded:${formatMissingMedia(missing)}<br><br>Click OK to play anyway, or Cancel to fix them and load the game again.`, 'Missing Media');
+}
+
+// File validation functions
+function validateDraftFile(fileContent) {
+	// Drafts may be explicitly marked with [JEOPARDY DRAFT] or be complete/incomplete
+	// game files of any board size; all of them can be opened in the editor
+	return { isValid: true, type: 'draft' };
+}
+
+// --- Game File Checks ---
+// validateGameFile() lists every problem in a game file instead of stopping at the first. Each
+// problem has a severity ('error' keeps the game from loading, 'warning' is only reported), its
+// line and column in a text file, where it is on the board, a suggested fix, and the editor field
+// that holds it (see findEditorField), so "Open in Editor Anyway" can jump straight there.
+const PROBLEM_EXAMPLE_CLUE = '200|This planet is red|What is Mars?';
+
+function validateGameFile(fileContent) {
+	const problems = [];
+	const report = (severity, message, details = {}) => {
+		problems.push({ severity, message, line: null, column: null, location: '', fix: '', field: null, ...details });
+	};
+	const result = () => {
+		problems.sort((a, b) => (a.line || Infinity) - (b.line || Infinity));
+		const errors = problems.filter(problem => problem.severity === 'error');
+		return {
+			isValid: errors.length === 0,
+			type: 'complete',
+			message: errors.length > 0 ? `${errors[0].message}. Please use the "Edit" button instead.` : '',
+			problems
+		};
+	};
+
+	// Drafts open in the editor rather than being played
+	if (isDraftFile(fileContent)) {
+		report('error', 'This is a draft file', { fix: 'Open it with the "Edit" button to finish it, then save it as a game.' });
+		return { ...result(), type: 'draft', message: 'This appears to be a draft file. Please use the "Edit" button instead.' };
+	}
+
+	// Text game files should start with "Title:"
+	const isJson = isJsonGameText(fileContent);
+	const firstLine = fileContent.split(/\r?\n/)[0];
+	if (!isJson && (!firstLine || !firstLine.trim().toLowerCase().startsWith('title:'))) {
+		report('error', 'Game files start with a Title: line', { line: 1, column: 1, fix: 'Add "Title: Your Game Title" as the first line.', field: { id: 'board-title' } });
+		return { ...result(), message: 'This does not appear to be a valid game file. Game files should start with "Title: [name]".' };
+	}
+
+	let board;
+	const trace = createParseTrace();
+	try {
+		board = parseBoardText(fileContent, trace);
+	} catch (error) {
+		report('error', error.message.replace(/\.$/, ''), getJsonErrorPosition(fileContent, error));
+		return result();
+	}
+
+	const where = (target, column) => {
+		const location = trace.locations.get(target) || {};
+		return { line: location.line || null, column: location.line ? (location[column] || 1) : null };
+	};
+
+	if (!board.title) {
+		report(isJson ? 'error' : 'warning', 'The game has no title', { line: trace.headers.title || null, column: 1, fix: 'Add the title after "Title:".', field: { id: 'board-title' } });
+	}
+
+	for (const dimension of ['columns', 'rows']) {
+		const line = trace.headers[dimension];
+		const value = getDimensionHeader(fileContent, line);
+		if (line && !(isValidPointValue(value) && parseInt(value, 10) <= (dimension === 'columns' ? MAX_COLUMNS : MAX_ROWS))) {
+			report('warning', `"${value}" isn't a board size from 1 to 10, so ${board[dimension]} ${dimension} are used`, { line, column: 1, fix: `Set ${dimension === 'columns' ? 'Columns' : 'Rows'}: to a whole number from 1 to 10.`, field: { id: `board-${dimension}` } });
+		}
+	}
+
+	if (!isOptionalWholeNumber(board.timer)) {
+		report('error', `The answer timer "${board.timer}" isn't a whole number of seconds`, { line: trace.headers.timer || null, column: 1, fix: 'Use a whole number of seconds, like "Timer: 15", or remove the line.', field: { id: 'timer-seconds' } });
+	}
+
+	if (!TIMEOUT_ACTIONS.includes(board.timeout)) {
+		report('error', `"${board.timeout}" isn't a Timeout setting`, { line: trace.headers.timeout || null, column: 1, fix: 'Use "Timeout: reveal" or "Timeout: dead", or remove the line.', field: { id: 'timer-timeout' } });
+	}
+
+	// Lines the parser had to skip; a broken clue line also leaves its category a clue short
+	const shortCategories = new Map();
+	for (const skipped of trace.skipped) {
+		const position = { line: skipped.line, column: skipped.column };
+		if (skipped.reason === 'note') {
+			report('warning', 'This Note: line has no clue above it and is ignored', { ...position, fix: 'Move it to just below the clue it belongs to.' });
+		} else if (skipped.reason === 'final') {
+			report('error', 'The Final Jeopardy line has no | between the clue and the response', { ...position, location: 'Final Jeopardy', fix: 'Write it as CLUE|RESPONSE.', field: { id: 'final-question' } });
+		} else if (skipped.reason === 'clue' && (skipped.parts.length > 1 || /^\d/.test(skipped.text))) {
+			const roundIndex = board.rounds.indexOf(skipped.round);
+			const categoryIndex = skipped.round.categories.indexOf(skipped.category);
+			const clue = {
+				...position,
+				location: getProblemLocation(board, roundIndex, categoryIndex),
+				field: { round: roundIndex, category: categoryIndex, clue: skipped.clueIndex, selector: '.question-question' }
+			};
+			const points = skipped.parts[0].trim();
+			if (skipped.parts.length > 2) {
+				report('error', `The points "${points}" aren't a positive whole number`, { ...clue, fix: `Start the line with a positive whole number of points, e.g. ${PROBLEM_EXAMPLE_CLUE}`, field: { ...clue.field, selector: '.question-value' } });
+			} else if (skipped.parts.length === 2 && /^\d+\s*(dd)?$/i.test(points)) {
+				report('error', 'This clue has no response', { ...clue, fix: 'Add |RESPONSE after the clue.', field: { ...clue.field, selector: '.question-answer' } });
+			} else {
+				report('error', "This clue line isn't written as POINTS|CLUE|RESPONSE", { ...clue, fix: `Separate the points, clue and response with |, e.g. ${PROBLEM_EXAMPLE_CLUE}` });
+			}
+			if (skipped.round.categories.indexOf(skipped.category) < board.columns) {
+				shortCategories.set(skipped.category, (shortCategories.get(skipped.category) || 0) + 1);
+			}
+		} else {
+			report('warning', "This line isn't a header or a clue and is ignored", { ...position, fix: 'Check the spelling of its header (Category:, Round:, Note:...) or remove it.' });
+		}
+	}
+
+	board.rounds.forEach((round, roundIndex) => {
+		const roundLabel = getProblemLocation(board, roundIndex);
+		const roundLocation = trace.locations.get(round) || {};
+		const roundField = selector => ({ round: roundIndex, selector });
+
+		if (!isValidPointValue(round.multiplier)) {
+			report('error', `The multiplier "${round.multiplier}" isn't a positive whole number`, { line: roundLocation.multiplier || null, column: 1, location: roundLabel, fix: 'Use a whole number like "Multiplier: 2", or remove the line.', field: roundField('.round-multiplier') });
+		}
+		if (!isOptionalWholeNumber(round.dailyDoubles)) {
+			report('error', `The Daily Doubles count "${round.dailyDoubles}" isn't a whole number`, { line: roundLocation.dailyDoubles || null, column: 1, location: roundLabel, fix: 'Use a whole number like "Daily Doubles: 2", or remove the line.', field: roundField('.round-daily-doubles') });
+		}
+		if (!isOptionalWholeNumber(round.timer)) {
+			report('error', `The round's answer timer "${round.timer}" isn't a whole number of seconds`, { line: roundLocation.timer || null, column: 1, location: roundLabel, fix: 'Use a whole number of seconds, like "Timer: 15", or remove the line.', field: roundField('.round-timer') });
+		}
+
+		const categories = round.categories.slice(0, board.columns);
+		if (categories.length < board.columns) {
+			const missing = board.columns - categories.length;
+			report('error', `The round has ${categories.length} of ${board.columns} categories`, { line: roundLocation.line || null, column: roundLocation.line ? 1 : null, location: roundLabel, fix: `Add ${missing} more Category: section(s) with ${board.rows} clues each, or set "Columns: ${Math.max(categories.length, 1)}".`, field: { ...roundField('.category-name'), category: categories.length } });
+		} else if (round.categories.length > board.columns) {
+			const extra = round.categories[board.columns];
+			report('warning', `Only ${board.columns} categories fit the board, so "${extra.name}" and any after it are ignored`, { ...where(extra), location: roundLabel, fix: `Remove the extra categories or raise "Columns:" (up to ${MAX_COLUMNS}).` });
+		}
+
+		categories.forEach((category, categoryIndex) => {
+			const categoryLabel = getProblemLocation(board, roundIndex, categoryIndex);
+			const categoryField = selector => ({ round: roundIndex, category: categoryIndex, selector });
+
+			if (!category.name) {
+				report('warning', 'This category has no name', { ...where(category), location: categoryLabel, fix: 'Add the name after "Category:".', field: categoryField('.category-name') });
+			}
+
+			const clues = category.clues.slice(0, board.rows);
+			const missing = board.rows - clues.length - (shortCategories.get(category) || 0);
+			if (missing > 0) {
+				report('error', `This category has ${clues.length} of ${board.rows} clues`, { ...where(category), location: categoryLabel, fix: `Add ${missing} more POINTS|CLUE|RESPONSE line(s) under it, e.g. ${PROBLEM_EXAMPLE_CLUE}`, field: { ...categoryField('.question-question'), clue: clues.length } });
+			} else if (category.clues.length > board.rows) {
+				report('warning', `Only ${board.rows} clues fit the board, so the rest of this category is ignored`, { ...where(category.clues[board.rows]), location: categoryLabel, fix: `Remove the extra clues or raise "Rows:" (up to ${MAX_ROWS}).` });
+			}
+
+			clues.forEach((clue, clueIndex) => {
+				const clueLabel = `${categoryLabel} › ${clue.value || `clue ${clueIndex + 1}`}`;
+				const clueField = selector => ({ ...categoryField(selector), clue: clueIndex });
+
+				if (!isValidPointValue(clue.value)) {
+					report('error', clue.value ? `The points "${clue.value}" aren't a positive whole number` : 'This clue has no points', { ...where(clue, 'value'), location: clueLabel, fix: `Start the line with a positive whole number of points, e.g. ${PROBLEM_EXAMPLE_CLUE}`, field: clueField('.question-value') });
+				}
+				if (!clue.question) {
+					report('error', 'The clue is empty', { ...where(clue, 'question'), location: clueLabel, fix: 'Type the clue between the first and second |.', field: clueField('.question-question') });
+				}
+				if (!clue.answer) {
+					report('error', 'The response is empty', { ...where(clue, 'answer'), location: clueLabel, fix: 'Type the response (in question form) after the second |.', field: clueField('.question-answer') });
+				}
+
+				for (const side of ['question', 'answer']) {
+					const markerError = getMarkerError(clue[side]);
+					if (markerError) {
+						report('error', markerError, { ...where(clue, side), location: clueLabel, fix: 'Use <img>, <audio> or <video> followed by a file name with a supported extension.', field: clueField(side === 'question' ? '.question-question' : '.question-answer') });
+					}
+				}
+			});
+		});
+	});
+
+	if (board.final) {
+		const location = trace.locations.get(board.final) || {};
+		const finalPosition = (column) => location.clueLine
+			? { line: location.clueLine, column: location[column] }
+			: { line: location.line || null, column: location.line ? 1 : null };
+
+		if (!board.final.category) {
+			report('error', 'Final Jeopardy has no category', { line: location.line || null, column: location.line ? 1 : null, location: 'Final Jeopardy', fix: 'Add the category after "Final:".', field: { id: 'final-category' } });
+		}
+		if (!location.clueLine && !trace.skipped.some(skipped => skipped.reason === 'final')) {
+			if (!(board.final.question && board.final.answer)) {
+				report('error', 'Final Jeopardy has no CLUE|RESPONSE line', { ...finalPosition(), location: 'Final Jeopardy', fix: 'Add a CLUE|RESPONSE line right after the "Final:" line.', field: { id: 'final-question' } });
+			}
+		} else if (location.clueLine) {
+			if (!board.final.question) {
+				report('error', 'The Final Jeopardy clue is empty', { ...finalPosition('question'), location: 'Final Jeopardy', fix: 'Type the clue before the |.', field: { id: 'final-question' } });
+			}
+			if (!board.final.answer) {
+				report('error', 'The Final Jeopardy response is empty', { ...finalPosition('answer'), location: 'Final Jeopardy', fix: 'Type the response after the |.', field: { id: 'final-answer' } });
+			}
+		}
+
+		for (const side of ['question', 'answer']) {
+			const markerError = getMarkerError(board.final[side], { final: true });
+			if (markerError) {
+				report('error', markerError, { ...finalPosition(side), location: 'Final Jeopardy', fix: 'Final Jeopardy can show text or an <img> with a supported extension.', field: { id: side === 'question' ? 'final-question' : 'final-answer' } });
+			}
+		}
+	}
+
+	return result();
+}
+
+// Where a problem is on the board: the round (in multi-round games) and category
+function getProblemLocation(board, roundIndex, categoryIndex = null) {
+	const round = board.rounds[roundIndex];
+	const parts = board.rounds.length > 1 ? [getRoundName(round, roundIndex)] : [];
+	if (categoryIndex !== null) {
+		const category = round.categories[categoryIndex];
+		parts.push(category.name ? `"${category.name}"` : `Category ${categoryIndex + 1}`);
+	}
+	return parts.join(' › ');
+}
+
+// The raw value of a Columns:/Rows: header, before it was clamped to the board's limits
+function getDimensionHeader(text, line) {
+	if (!line) return '';
+	const header = text.split(/\r?\n/)[line - 1];
+	return header.substring(header.indexOf(':') + 1).trim();
+}
+
+// Line and column of a JSON syntax error, from the position in the browser's message
+function getJsonErrorPosition(text, error) {
+	const lineMatch = error.message.match(/line (\d+) column (\d+)/);
+	if (lineMatch) return { line: parseInt(lineMatch[1], 10), column: parseInt(lineMatch[2], 10) };
+
+	const positionMatch = error.message.match(/position (\d+)/);
+	if (!positionMatch) return {};
+	const before = text.substring(0, parseInt(positionMatch[1], 10)).split(/\r?\n/);
+	return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+// One line per problem for a CustomDialog message, in a scrolling list
+function formatProblems(problems) {
+	const items = problems.map(problem => {
+		const position = problem.line ? `Line ${problem.line}${problem.column ? `:${problem.column}` : ''}` : '';
+		const heading = [position, problem.location].filter(Boolean).map(escapeHtml).join(' · ');
+		const fix = problem.fix ? `<span class="problem-fix">Fix: ${escapeHtml(problem.fix)}</span>` : '';
+		return `<span class="problem problem-${problem.severity}"><strong>${problem.severity === 'error' ? 'Error' : 'Warning'}</strong>${heading ? ` ${heading}` : ''}: ${escapeHtml(problem.message)}.${fix}</span>`;
+	});
+	return `<span class="problem-report">${items.join('')}</span>`;
+}
+
+// Show a file's problems; resolves 'edit' to open it in the editor, 'play' to play a file that
+// only has warnings, or 'close'
+function showProblemReport(problems, { playable = false } = {}) {
+	const errors = problems.filter(problem => problem.severity === 'error').length;
+	const warnings = problems.length - errors;
+	const counts = [errors && `${errors} error(s)`, warnings && `${warnings} warning(s)`].filter(Boolean).join(' and ');
+	// Close comes last, so Escape just closes the report
+	const choices = playable
+		? [{ text: 'Open in Editor', style: 'secondary', value: 'edit' }, { text: 'Play Anyway', style: 'primary', value: 'play' }, { text: 'Close', style: 'secondary', value: 'close' }]
+		: [{ text: 'Open in Editor Anyway', style: 'secondary', value: 'edit' }, { text: 'Close', style: 'primary', value: 'close' }];
+	return CustomDialog.choose(`This file has ${counts}:${formatProblems(problems)}`, 'Problems in Game File', choices);
+}
+
+// The editor input a problem points at: one with an id, or a round/category/clue field found by
+// its position in the form
+function findEditorField(field) {
+	if (!field) return null;
+	if (field.id) return document.getElementById(field.id);
+
+	let scope = document.querySelectorAll('.round-section')[field.round];
+	if (scope && field.category !== undefined) scope = scope.querySelectorAll('.category-section')[field.category];
+	if (scope && field.clue !== undefined) scope = scope.querySelectorAll('.question-item')[field.clue];
+	return scope ? scope.querySelector(field.selector) : null;
+}
+
+// Scroll to and highlight the field behind the first problem that has one
+function focusProblemField(problems) {
+	const input = problems.map(problem => findEditorField(problem.field)).find(Boolean);
+	if (!input) return;
+	input.classList.add('validation-error');
+	input.scrollIntoView({ block: 'center' });
+	input.focus();
+}
+
+// When a draft file is uploaded, read it and handle appropriately
+document.getElementById('jeopardy-draft-upload').addEventListener('change', function (e) {
+	const file = e.target.files[0];
+	if (!file) return;
+
+	const reader = new FileReader();
+	reader.onload = async function (evt) {
+		const { text: fileText, assets } = extractBundleAssets(evt.target.result);
+		const validation = validateDraftFile(fileText);
+
+		if (!validation.isValid) {
+			CustomDialog.error(validation.message);
+			e.target.value = ''; // Clear the file input
+			return;
+		}
+
+		if (await openFileInEditor(fileText, assets)) {
+			CustomDialog.success(isDraftFile(fileText) ? 'Draft imported successfully!' : 'Game file imported for editing!');
+		}
+	};
+	reader.readAsText(file);
+
+	// Clear the file input
+	e.target.value = '';
+});
+
+// Load a draft or game file's text (and any bundled images) into the editor; false if it can't be read
+async function openFileInEditor(fileText, assets) {
+	const isDraft = isDraftFile(fileText);
+
+	// Show the create form and hide team setup
+	document.getElementById('create-form').classList.remove('hide');
+	document.getElementById('file-teams-setup').classList.add('hide');
+
+	// The file becomes a draft of its own rather than replacing the one in the form
+	closeActiveDraft();
+	reinitializeForm();
+
+	let board;
+	try {
+		board = parseBoardText(fileText);
+	} catch (error) {
+		console.error('Error importing file:', error);
+		CustomDialog.error(isJsonGameText(fileText)
+			? error.message
+			: isDraft
+				? 'Error importing draft file. Please check the file format.'
+				: 'Error importing game file. Please check the file format.');
+		return false;
+	}
+
+	await saveDraftAssets(assets);
+
+	// Apply the imported data to the form
+	try {
+		fillFormFromBoardData(board);
+
+		// Drafts carry their team list; fall back to a default team
+		if (isDraft) {
+			formTeams = board.teams.length > 0 ? [...board.teams] : [{ name: 'Team 1', score: 0 }];
+			renderFormTeams();
+		}
+
+		// Save as localStorage draft
+		saveFormDraft();
+		return true;
+	} catch (error) {
+		console.error('Error applying imported file to form:', error);
+		CustomDialog.error(isDraft ? 'Error applying imported draft to form.' : 'Error applying game file to form.');
+		return false;
+	}
+}
+
+// When a game file is uploaded, read it and handle appropriately
+document.getElementById('jeopardy-game-upload').addEventListener('change', function (e) {
+	const file = e.target.files[0];
+	if (!file) return;
+
+	const reader = new FileReader();
+	reader.onload = async function (evt) {
+		const { text: fileText, assets } = extractBundleAssets(evt.target.result);
+		const validation = validateGameFile(fileText);
+
+		// List every problem found; the editor can still open a file that can't be played
+		if (validation.problems.length > 0) {
+			const choice = await showProblemReport(validation.problems, { playable: validation.isValid });
+			if (choice === 'edit' && await openFileInEditor(fileText, assets)) {
+				focusProblemField(validation.problems);
+			}
+			if (choice !== 'play') return;
+		}
+
+		await saveGameAssets(assets);
+
+		// Look for missing images and media before setting up the game
+		if (!(await confirmBoardMedia(parseBoardText(fileText)))) return;
+
+		// Parse title from file if present
+		const parsedTitle = parseTitleFromText(fileText);
+		const title = parsedTitle;
+		saveTitle(title);
+		saveBoardText(fileText);
+
+		// Hide the create form if it's visible and show team setup
+		document.getElementById('create-form').classList.add('hide');
+		document.getElementById('file-teams-setup').classList.remove('hide');
+
+		// Keep stats table hidden until a game board is actually loaded
+		setStatsVisibility(false);
+
+		// Save the file text for later use when continuing to the game
+		window.uploadedFileText = fileText;
+	};
+	reader.readAsText(file);
+
+	// Clear the file input
+	e.target.value = '';
+});
+
+// Parse the uploaded text file and fill the board with categories, questions, and answers
+// for the given round (the first round unless resuming a saved game)
+function populateJeopardyBoardFromText(text, roundIndex = 0) {
+	currentBoard = parseBoardText(text);
+	currentRound = Math.min(Math.max(roundIndex, 0), currentBoard.rounds.length - 1);
+
+	// Generate the board sized and filled from the file
+	generateGameBoard(currentBoard, currentRound);
+
+	document.getElementById('game').classList.remove('hide');
+	addCellClickHandlers();
+	document.getElementById('upload-controls').style.display = 'none';
+	// Show the stats table when board is displayed
+	setStatsVisibility(true);
+	// Always show reset button container after board is loaded
+	const resetContainer = document.getElementById('reset-board-container');
+	if (resetContainer) resetContainer.style.display = 'block';
+	updateRoundDisplay();
+}
+
+// Generate the game board HTML structure for one round of a parsed board (see parseBoardText)
+function generateGameBoard(board = { columns: DEFAULT_COLUMNS, rows: DEFAULT_ROWS, rounds: [] }, roundIndex = 0) {
+	boardColumns = board.columns;
+	boardRows = board.rows;
+
+	const round = board.rounds[roundIndex] || { categories: [] };
+	const multiplier = parseInt(round.multiplier, 10) || 1;
+
+	const headerRow = document.querySelector('#game thead tr');
+	headerRow.innerHTML = '';
+	for (let col = 0; col < boardColumns; col++) {
+		const category = round.categories[col];
+		const th = document.createElement('th');
+		th.textContent = category ? category.name : `Category ${col + 1}`;
+		headerRow.appendChild(th);
+	}
+
+	const gameBody = document.getElementById('game-body');
+	gameBody.innerHTML = '';
+
+	for (let row = 0; row < boardRows; row++) {
+		const tr = document.createElement('tr');
+		for (let col = 0; col < boardColumns; col++) {
+			const category = round.categories[col];
+			const clue = (category && category.clues[row]) || { value: '', question: '', answer: '', note: '' };
+			const td = document.createElement('td');
+			td.id = `tq${row}-${col}`;
+			td.innerHTML = `
+        <h3></h3>
+        <div class="hide">
+            <div id="q${row}-${col}"></div>
+            <div id="aq${row}-${col}"></div>
+            <div id="nq${row}-${col}"></div>
+        </div>
+        `;
+			// Fill in the cell's value (scaled by the round multiplier) and its hidden clue/response/note
+			td.querySelector('h3').textContent = isValidPointValue(clue.value) ? parseInt(clue.value, 10) * multiplier : clue.value;
+			td.querySelector(`#q${row}-${col}`).textContent = clue.question;
+			td.querySelector(`#aq${row}-${col}`).textContent = clue.answer;
+			td.querySelector(`#nq${row}-${col}`).textContent = clue.note || '';
+			tr.appendChild(td);
+		}
+		gameBody.appendChild(tr);
+	}
+}
+
+// --- Rounds ---
+// True once every cell in the current round has been played
+function isRoundComplete() {
+	let complete = true;
+	forEachBoardCell((cell) => {
+		if (!cell.classList.contains('used')) complete = false;
+	});
+	return complete;
+}
+
+// Show the round name and the Next Round control for multi-round games
+function updateRoundDisplay() {
+	const roundTitle = document.getElementById('round-title');
+	const nextRoundBtn = document.getElementById('next-round');
+	const rounds = currentBoard ? currentBoard.rounds : [];
+	const isMultiRound = rounds.length > 1;
+
+	roundTitle.textContent = isMultiRound ? getRoundName(rounds[currentRound], currentRound) : '';
+	roundTitle.style.display = isMultiRound ? 'block' : 'none';
+
+	const hasNextRound = currentRound < rounds.length - 1;
+	nextRoundBtn.style.display = hasNextRound ? 'inline-block' : 'none';
+	nextRoundBtn.classList.toggle('round-complete', hasNextRound && isRoundComplete());
+
+	// Final Jeopardy follows the last round, until its scores have been applied
+	const finalBtn = document.getElementById('start-final');
+	const canStartFinal = Boolean(currentBoard && currentBoard.final) && !hasNextRound &&
+		!(finalState && finalState.stage === 'done');
+	finalBtn.style.display = canStartFinal ? 'inline-block' : 'none';
+	finalBtn.classList.toggle('round-complete', canStartFinal && isRoundComplete());
+}
+
+// Move the board on to the next round, asking first if clues are left unplayed
+async function advanceToNextRound() {
+	if (!currentBoard || currentRound >= currentBoard.rounds.length - 1) return;
+
+	if (!isRoundComplete()) {
+		const confirmed = await CustomDialog.confirm(
+			'There are still clues left in this round. Move on to the next round anyway?',
+			'Next Round?'
+		);
+		if (!confirmed) return;
+	}
+
+	currentRound++;
+	saveRound(currentRound);
+
+	// The new round starts with every cell unused
+	generateGameBoard(currentBoard, currentRound);
+	addCellClickHandlers();
+	saveBoardState();
+	placeDailyDoubles();
+	updateRoundDisplay();
+}
+
+document.getElementById('next-round').addEventListener('click', advanceToNextRound);
+
+// --- Daily Doubles ---
+// Cell ids of the Daily Doubles in the current round (kept secret until picked)
+let dailyDoubleCells = [];
+
+function saveDailyDoubles() {
+	storage.save('jeopardyDailyDoubles', dailyDoubleCells);
+	queueLibrarySave();
+}
+
+// Returns false when nothing was saved (e.g. a game started before Daily Doubles existed)
+function loadDailyDoubles() {
+	const saved = storage.load('jeopardyDailyDoubles');
+	dailyDoubleCells = Array.isArray(saved) ? saved : [];
+	return Array.isArray(saved);
+}
+
+// Choose the current round's Daily Doubles: every clue marked DD in the file, plus
+// enough random cells to reach the round's Daily Doubles: count
+function placeDailyDoubles() {
+	const round = currentBoard ? currentBoard.rounds[currentRound] : null;
+	const marked = [];
+	const unmarked = [];
+
+	forEachBoardCell((cell, row, col) => {
+		const category = round && round.categories[col];
+		const clue = category && category.clues[row];
+		(clue && clue.dailyDouble ? marked : unmarked).push(cell.id);
+	});
+
+	const randomCount = Math.min(Math.max((parseInt(round && round.dailyDoubles, 10) || 0) - marked.length, 0), unmarked.length);
+	for (let i = 0; i < randomCount; i++) {
+		const pick = Math.floor(Math.random() * unmarked.length);
+		marked.push(unmarked.splice(pick, 1)[0]);
+	}
+
+	dailyDoubleCells = marked;
+	saveDailyDoubles();
+}
+
+function isDailyDouble(cell) {
+	return dailyDoubleCells.includes(cell.id);
+}
+
+// Highest value on the current board; a team may always wager up to this much
+function getRoundMaxValue() {
+	let max = 0;
+	forEachBoardCell((cell) => {
+		max = Math.max(max, parseInt(cell.querySelector('h3').textContent, 10) || 0);
+	});
+	return max;
+}
+
+function getDailyDoubleMaxWager(team) {
+	return Math.max(team.score, getRoundMaxValue());
+}
+
+// Show the Daily Double splash for a cell; the clue opens once a wager is entered
+function openDailyDouble(row, col, cellRef) {
+	openDailyDouble.pending = { row, col, cellRef };
+
+	const select = document.getElementById('daily-double-team');
+	select.innerHTML = '';
+	teams.forEach((team, idx) => {
+		const option = document.createElement('option');
+		option.value = idx;
+		option.textContent = `${team.name} (${team.score})`;
+		select.appendChild(option);
+	});
+
+	document.getElementById('daily-double-wager').value = '';
+	updateDailyDoubleLimit();
+	document.getElementById('daily-double').style.display = 'flex';
+	notifyAudience('daily-double-open');
+	savePromptState();
+}
+
+// Show the wager range for the team in control
+function updateDailyDoubleLimit() {
+	const team = teams[+document.getElementById('daily-double-team').value];
+	document.getElementById('daily-double-limit').textContent = team
+		? `${team.name} may wager from 0 to ${getDailyDoubleMaxWager(team)}.`
+		: '';
+}
+
+// Check the wager, then open the clue for the team in control only
+function revealDailyDouble() {
+	const idx = +document.getElementById('daily-double-team').value;
+	const team = teams[idx];
+	const wagerInput = document.getElementById('daily-double-wager');
+	const wager = wagerInput.value.trim();
+	const maxWager = getDailyDoubleMaxWager(team);
+
+	if (!/^\d+$/.test(wager) || parseInt(wager, 10) > maxWager) {
+		CustomDialog.alert(`${team.name} must wager a whole number from 0 to ${maxWager}.`, 'Invalid Wager');
+		wagerInput.focus();
+		return;
+	}
+
+	const { row, col, cellRef } = openDailyDouble.pending;
+	openDailyDouble.pending = null;
+	document.getElementById('daily-double').style.display = 'none';
+
+	// The wager is scored instead of the cell's value
+	lastCellValue = parseInt(wager, 10);
+	showPrompt(row, col, cellRef);
+	lockPromptToTeam(idx);
+	savePromptState();
+}
+
+// Only the team in control answers a Daily Double, for its wager
+function lockPromptToTeam(idx) {
+	const teamSelect = document.getElementById('prompt-team-select');
+	teamSelect.value = idx;
+	teamSelect.disabled = true;
+	document.getElementById('buzzer-controls').style.display = 'none';
+	document.getElementById('prompt-wager').textContent = `Daily Double: ${teams[idx].name} wagers ${lastCellValue}`;
+	syncPromptToAudience();
+}
+
+function cancelDailyDouble() {
+	openDailyDouble.pending = null;
+	document.getElementById('daily-double').style.display = 'none';
+	notifyAudience('daily-double-close');
+	savePromptState();
+}
+
+document.getElementById('daily-double-team').addEventListener('change', updateDailyDoubleLimit);
+document.getElementById('daily-double-reveal').addEventListener('click', revealDailyDouble);
+document.getElementById('daily-double-cancel').addEventListener('click', cancelDailyDouble);
+
+// --- Final Jeopardy ---
+// Progress through Final Jeopardy: 'wager' → 'clue' → 'response' (judging) → 'done'
+// Wagers and results are keyed by team index; null until Final Jeopardy is started
+let finalState = null;
+
+function saveFinalState() {
+	storage.save('jeopardyFinal', finalState);
+	queueLibrarySave();
+}
+
+function loadFinalState() {
+	finalState = storage.load('jeopardyFinal');
+}
+
+// Forget any Final Jeopardy progress (new game)
+function resetFinalState() {
+	finalState = null;
+	storage.remove('jeopardyFinal');
+	queueLibrarySave();
+}
+
+// Teams at or below zero sit out Final Jeopardy; everyone else may wager up to their score
+function isFinalParticipant(team) {
+	return team.score > 0;
+}
+
+// Open Final Jeopardy, starting it if needed (asks first if clues are left on the board)
+async function openFinalJeopardy() {
+	if (!currentBoard || !currentBoard.final) return;
+
+	if (!finalState) {
+		if (!isRoundComplete()) {
+			const confirmed = await CustomDialog.confirm(
+				'There are still clues left on the board. Start Final Jeopardy anyway?',
+				'Final Jeopardy?'
+			);
+			if (!confirmed) return;
+		}
+		finalState = { stage: 'wager', participants: [], wagers: {}, results: {} };
+		saveFinalState();
+	}
+
+	renderFinalJeopardy();
+}
+
+// Show the Final Jeopardy modal for the current stage
+function renderFinalJeopardy() {
+	const final = currentBoard.final;
+	const stage = finalState.stage;
+
+	document.getElementById('final-jeopardy-category').textContent = final.category;
+	document.getElementById('final-wager-stage').style.display = stage === 'wager' ? 'block' : 'none';
+	document.getElementById('final-clue-stage').style.display = stage === 'clue' || stage === 'response' ? 'block' : 'none';
+	document.getElementById('final-results-stage').style.display = stage === 'done' ? 'block' : 'none';
+	document.getElementById('final-back').style.display = stage === 'done' ? 'none' : 'inline-block';
+
+	if (stage === 'wager') {
+		renderFinalWagers();
+	} else if (stage === 'clue' || stage === 'response') {
+		['final-clue-text', 'final-clue-img', 'final-response-text', 'final-response-img'].forEach(id => {
+			document.getElementById(id).style.display = 'none';
+			document.getElementById(id).classList.remove('media-error');
+		});
+		renderTextOrImg(final.question, document.getElementById('final-clue-text'),
+			document.getElementById('final-clue-img'), 'questions').style.display = 'block';
+
+		const showResponse = stage === 'response';
+		if (showResponse) {
+			renderTextOrImg(final.answer, document.getElementById('final-response-text'),
+				document.getElementById('final-response-img'), 'answers').style.display = 'block';
+		}
+		document.getElementById('final-show-response').style.display = showResponse ? 'none' : 'inline-block';
+		document.getElementById('final-judging').style.display = showResponse ? 'block' : 'none';
+		document.getElementById('final-apply').style.display = showResponse ? 'inline-block' : 'none';
+		if (showResponse) renderFinalJudging();
+	} else {
+		renderFinalResults();
+	}
+
+	document.getElementById('final-jeopardy').style.display = 'flex';
+	notifyAudience('final-open');
+}
+
+// One secret wager input per team (teams at or below zero sit out)
+function renderFinalWagers() {
+	const container = document.getElementById('final-wagers');
+	container.innerHTML = '';
+
+	teams.forEach((team, idx) => {
+		const row = document.createElement('div');
+		row.className = 'final-team-row';
+
+		const name = document.createElement('span');
+		name.className = 'final-team-name';
+		name.textContent = `${team.name} (${team.score})`;
+		row.appendChild(name);
+
+		if (isFinalParticipant(team)) {
+			// Password input keeps the wager hidden from the room while it's typed
+			const wagerInput = document.createElement('input');
+			wagerInput.type = 'password';
+			wagerInput.inputMode = 'numeric';
+			wagerInput.className = 'final-wager';
+			wagerInput.dataset.idx = idx;
+			wagerInput.placeholder = `Wager 0–${team.score}`;
+			row.appendChild(wagerInput);
+		} else {
+			const note = document.createElement('span');
+			note.className = 'final-sit-out';
+			note.textContent = 'Sits out (score at or below zero)';
+			row.appendChild(note);
+		}
+
+		container.appendChild(row);
+	});
+}
+
+// Check every wager, then lock them in and reveal the clue
+function lockFinalWagers() {
+	const wagers = {};
+	const participants = [];
+
+	for (const input of document.querySelectorAll('#final-wagers .final-wager')) {
+		const idx = +input.dataset.idx;
+		const team = teams[idx];
+		const wager = input.value.trim();
+
+		if (!/^\d+$/.test(wager) || parseInt(wager, 10) > team.score) {
+			CustomDialog.alert(`${team.name} must wager a whole number from 0 to ${team.score}.`, 'Invalid Wager');
+			input.focus();
+			return;
+		}
+
+		participants.push(idx);
+		wagers[idx] = parseInt(wager, 10);
+	}
+
+	finalState.stage = 'clue';
+	finalState.participants = participants;
+	finalState.wagers = wagers;
+	saveFinalState();
+	renderFinalJeopardy();
+}
+
+// Right/Wrong buttons for each team that wagered
+function renderFinalJudging() {
+	const container = document.getElementById('final-judging');
+	container.innerHTML = '';
+
+	finalState.participants.forEach(idx => {
+		const team = teams[idx];
+		if (!team) return;
+
+		const row = document.createElement('div');
+		row.className = 'final-team-row';
+
+		const name = document.createElement('span');
+		name.className = 'final-team-name';
+		name.textContent = team.name;
+		row.appendChild(name);
+
+		[['Right', true], ['Wrong', false]].forEach(([label, isRight]) => {
+			const btn = document.createElement('button');
+			btn.textContent = label;
+			btn.className = 'final-judge' + (finalState.results[idx] === isRight ? ' selected' : '');
+			btn.addEventListener('click', () => {
+				finalState.results[idx] = isRight;
+				saveFinalState();
+				renderFinalJudging();
+			});
+			row.appendChild(btn);
+		});
+
+		container.appendChild(row);
+	});
+}
+
+// Apply each team's wager once every participant has been judged
+function applyFinalWagers() {
+	const unjudged = finalState.participants.filter(idx => teams[idx] && finalState.results[idx] === undefined);
+	if (unjudged.length > 0) {
+		CustomDialog.alert(`Mark ${unjudged.map(idx => teams[idx].name).join(', ')} right or wrong first.`, 'Final Jeopardy');
+		return;
+	}
+
+	finalState.participants.forEach(idx => {
+		if (!teams[idx]) return;
+		const wager = finalState.wagers[idx];
+		modifyTeamScore(idx, finalState.results[idx] ? wager : -wager, { source: 'final' });
+	});
+
+	finalState.stage = 'done';
+	saveFinalState();
+	renderFinalJeopardy();
+	updateRoundDisplay();
+}
+
+// Final standings with each team's wager and result
+function renderFinalResults() {
+	const container = document.getElementById('final-results');
+	container.innerHTML = '';
+
+	const standings = teams.map((team, idx) => ({ team, idx }))
+		.sort((a, b) => b.team.score - a.team.score);
+
+	standings.forEach(({ team, idx }, place) => {
+		const row = document.createElement('div');
+		row.className = 'final-team-row' + (place === 0 ? ' final-winner' : '');
+
+		let detail = 'sat out';
+		if (finalState.participants.includes(idx)) {
+			detail = `${finalState.results[idx] ? '+' : '-'}${finalState.wagers[idx]}`;
+		}
+		row.textContent = `${team.name}: ${team.score} (${detail})`;
+		container.appendChild(row);
+	});
+}
+
+function closeFinalJeopardy() {
+	document.getElementById('final-jeopardy').style.display = 'none';
+	notifyAudience('final-close');
+}
+
+document.getElementById('start-final').addEventListener('click', openFinalJeopardy);
+document.getElementById('final-lock-wagers').addEventListener('click', lockFinalWagers);
+document.getElementById('final-show-response').addEventListener('click', function () {
+	finalState.stage = 'response';
+	saveFinalState();
+	renderFinalJeopardy();
+});
+document.getElementById('final-apply').addEventListener('click', applyFinalWagers);
+document.getElementById('final-close').addEventListener('click', closeFinalJeopardy);
+document.getElementById('final-back').addEventListener('click', closeFinalJeopardy);
+
+// --- Presenter Mode ---
+// jeopardy.html?view=audience is a read-only window for the projector: board, clue and scores.
+// Saved game state reaches it through storage events; the open prompt and modals are sent as
+// messages over a BroadcastChannel (or through a localStorage key where that isn't available).
+const isAudienceView = new URLSearchParams(window.location.search).get('view') === 'audience';
+const presenterChannel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel('jeopardy-presenter') : null;
+
+// Keys whose changes the audience window redraws from
+const AUDIENCE_STATE_KEYS = ['jeopardyBoard', 'jeopardyUsedCells', 'jeopardyTeams', 'jeopardyTitle', 'jeopardyRound', 'jeopardyFinal'];
+
+// True in the host window while an audience window is open: the host then sees the
+// response and host notes as soon as a clue opens
+let presenterMode = false;
+
+// The clue open in the host window, as last sent to the audience
+let presenterPrompt = null;
+
+function sendPresenterMessage(type, data = {}) {
+	const message = { type, ...data, sentAt: Date.now() };
+	if (presenterChannel) {
+		presenterChannel.postMessage(message);
+	} else {
+		storage.save('jeopardyPresenterMessage', message);
+	}
+}
+
+// Host → audience messages (no-op in the audience window itself)
+function notifyAudience(type, data = {}) {
+	if (!isAudienceView) sendPresenterMessage(type, data);
+}
+
+function setPresenterMode(enabled) {
+	presenterMode = enabled;
+	document.body.classList.toggle('presenter-mode', enabled);
+	document.getElementById('show-answer').textContent = enabled ? 'Show Answer to Audience' : 'Show Answer';
+	document.getElementById('open-audience').textContent = enabled ? 'Audience Window (open)' : 'Audience Window';
+}
+
+function openAudienceWindow() {
+	window.open(`${window.location.pathname}?view=audience`, 'jeopardy-audience');
+}
+
+// Send the open clue (and whether its response is showing) to the audience
+function syncPromptToAudience() {
+	if (!presenterPrompt) return;
+	presenterPrompt.wager = document.getElementById('prompt-wager').textContent;
+	presenterPrompt.timer = getPromptTimerState();
+	notifyAudience('prompt-open', presenterPrompt);
+}
+
+// Bring a newly opened audience window up to date with whatever is on screen
+function syncAudienceModals() {
+	if (document.getElementById('prompt').style.display === 'flex') syncPromptToAudience();
+	if (document.getElementById('daily-double').style.display === 'flex') notifyAudience('daily-double-open');
+	if (document.getElementById('final-jeopardy').style.display === 'flex') notifyAudience('final-open');
+}
+
+function handleHostMessage(message) {
+	if (message.type === 'audience-ready') {
+		setPresenterMode(true);
+		syncAudienceModals();
+	} else if (message.type === 'audience-closed') {
+		// Another audience window may still be open; it answers host-ready
+		setPresenterMode(false);
+		notifyAudience('host-ready');
+	}
+}
+
+// Redraw the audience window from the saved game state
+function refreshAudienceView() {
+	loadGameAssets(); // The host may have imported a bundle with new images
+	const saved = loadBoardText();
+	const title = loadTitle() || (saved ? parseTitleFromText(saved) : '');
+	const titleElem = document.getElementById('title');
+	titleElem.textContent = title;
+	titleElem.style.display = title ? 'block' : 'none';
+	document.getElementById('audience-waiting').classList.toggle('hide', Boolean(saved));
+
+	if (saved) {
+		loadFinalState();
+		populateJeopardyBoardFromText(saved, loadRound());
+		loadBoardState();
+		updateRoundDisplay();
+	} else {
+		currentBoard = null;
+		finalState = null;
+		document.getElementById('game').classList.add('hide');
+		document.getElementById('round-title').style.display = 'none';
+		['prompt', 'daily-double', 'final-jeopardy'].forEach(id => {
+			document.getElementById(id).style.display = 'none';
+		});
+	}
+
+	teams = storage.load('jeopardyTeams', []);
+	renderStats();
+	setStatsVisibility(Boolean(saved));
+
+	// Keep an open Final Jeopardy screen in step with the host
+	if (document.getElementById('final-jeopardy').style.display === 'flex') {
+		if (finalState && currentBoard && currentBoard.final) {
+			renderFinalJeopardy();
+		} else {
+			closeFinalJeopardy();
+		}
+	}
+}
+
+function handleAudienceMessage(message) {
+	if (message.type === 'host-ready') {
+		sendPresenterMessage('audience-ready');
+	} else if (message.type === 'prompt-open') {
+		document.getElementById('daily-double').style.display = 'none';
+		showPrompt(message.row, message.col);
+		document.getElementById('prompt-wager').textContent = message.wager || '';
+		applyPromptTimerState(message.timer);
+		if (message.answerShown) revealPromptAnswer();
+	} else if (message.type === 'answer-shown') {
+		revealPromptAnswer();
+	} else if (message.type === 'timer') {
+		applyPromptTimerState(message);
+	} else if (message.type === 'buzzers') {
+		Object.assign(buzzers, { armed: message.armed, order: message.order, winner: message.winner });
+		renderBuzzers();
+	} else if (message.type === 'media') {
+		controlPromptMedia(message.side, message.action);
+	} else if (message.type === 'prompt-close') {
+		stopPromptTimer();
+		stopPromptMedia();
+		document.getElementById('prompt').style.display = 'none';
+	} else if (message.type === 'daily-double-open') {
+		document.getElementById('daily-double').style.display = 'flex';
+	} else if (message.type === 'daily-double-close') {
+		document.getElementById('daily-double').style.display = 'none';
+	} else if (message.type === 'final-open') {
+		loadFinalState();
+		if (finalState && currentBoard && currentBoard.final) renderFinalJeopardy();
+	} else if (message.type === 'final-close') {
+		closeFinalJeopardy();
+	} else if (message.type === 'reset') {
+		refreshAudienceView();
+	}
+}
+
+function handlePresenterMessage(message) {
+	if (!message || !message.type) return;
+	if (isAudienceView) {
+		handleAudienceMessage(message);
+	} else {
+		handleHostMessage(message);
+	}
+}
+
+if (presenterChannel) {
+	presenterChannel.onmessage = (e) => handlePresenterMessage(e.data);
+}
+
+window.addEventListener('storage', function (e) {
+	if (e.key === 'jeopardyPresenterMessage') {
+		if (e.newValue) handlePresenterMessage(JSON.parse(e.newValue));
+	} else if (isAudienceView && (e.key === null || AUDIENCE_STATE_KEYS.includes(e.key))) {
+		refreshAudienceView();
+	}
+});
+
+document.getElementById('open-audience').addEventListener('click', openAudienceWindow);
+
+// Set up the audience window, or let an audience window left open from before find this host
+document.addEventListener('DOMContentLoaded', function () {
+	if (isAudienceView) {
+		document.body.classList.add('audience-view');
+		document.title = 'Jeopardy — Audience';
+		window.addEventListener('pagehide', () => sendPresenterMessage('audience-closed'));
+		sendPresenterMessage('audience-ready');
+	} else {
+		notifyAudience('host-ready');
+	}
+});
+
+// On page load, try to restore from localStorage if possible
+document.addEventListener('DOMContentLoaded', function () {
+	// The audience window draws itself from the host's saved state
+	if (isAudienceView) {
+		refreshAudienceView();
+		return;
+	}
+
+	// Ensure stats is hidden by default (only show when board is loaded)
+	setStatsVisibility(false);
+
+	const saved = loadBoardText();
+	// Restore title
+	let savedTitle = loadTitle();
+	// If no savedTitle, try to parse from saved board text
+	if (!savedTitle && saved) {
+		savedTitle = parseTitleFromText(saved);
+		if (savedTitle) saveTitle(savedTitle);
+	}
+	const titleElem = document.getElementById('title');
 	if (savedTitle) {
 		titleElem.textContent = savedTitle;
 		titleElem.style.display = 'block';
@@ -746,8 +2503,11 @@ document.addEventListener('DOMContentLoaded', function () {
 		titleElem.style.display = 'none';
 	}
 	if (saved) {
-		populateJeopardyBoardFromText(saved);
+		loadFinalState();
+		populateJeopardyBoardFromText(saved, loadRound());
 		loadBoardState();
+		if (!loadDailyDoubles()) placeDailyDoubles();
+		updateRoundDisplay();
 		// Always show reset button container after board is loaded
 		const resetContainer = document.getElementById('reset-board-container');
 		if (resetContainer) resetContainer.style.display = 'block';
@@ -762,6 +2522,13 @@ document.addEventListener('DOMContentLoaded', function () {
 		createFormDiv.classList.add('hide');
 	}
 	loadTeams();
+	loadScoreHistory();
+	if (saved) restorePromptState();
+
+	// Pick Final Jeopardy back up if it was in progress
+	if (saved && finalState && finalState.stage !== 'done') {
+		renderFinalJeopardy();
+	}
 });
 
 // Load saved teams or set up an empty array
@@ -779,9 +2546,10 @@ if (document.getElementById('game').classList.contains('hide')) {
 // Add Team button removed from scoring table
 let teams = [];
 
-// Helper function to modify team score
-function modifyTeamScore(teamIndex, points) {
+// Helper function to modify team score; details ({ source, cell }) are kept in the score history
+function modifyTeamScore(teamIndex, points, details = {}) {
 	teams[teamIndex].score += points;
+	recordScoreEvent(teamIndex, points, details);
 	renderStats();
 }
 
@@ -795,6 +2563,7 @@ function renderStats() {
         <td><span id="score-${idx}">${team.score}</span></td>
         <td><button class="add-points" data-idx="${idx}">+</button></td>
         <td><button class="subtract-points" data-idx="${idx}">-</button></td>
+        <td><button class="set-buzzer" data-idx="${idx}" title="Click, then press a key or gamepad button">${getBuzzerLabel(getTeamBuzzer(idx))}</button></td>
     `;
 		statsBody.appendChild(row);
 	});
@@ -816,9 +2585,11 @@ statsBody.onclick = function (e) {
 	const pointValue = getCurrentCellValue();
 
 	if (e.target.classList.contains('add-points')) {
-		modifyTeamScore(idx, pointValue);
+		modifyTeamScore(idx, pointValue, { source: 'stats-add', cell: lastCellId });
 	} else if (e.target.classList.contains('subtract-points')) {
-		modifyTeamScore(idx, -pointValue);
+		modifyTeamScore(idx, -pointValue, { source: 'stats-subtract', cell: lastCellId });
+	} else if (e.target.classList.contains('set-buzzer')) {
+		startBuzzerAssignment(idx, e.target);
 	}
 };
 
@@ -831,138 +2602,832 @@ statsBody.oninput = function (e) {
 	}
 };
 
-let lastCellValue = 0;
-// Get the value of the last clicked cell (for scoring)
-function getCurrentCellValue() {
-	return lastCellValue;
+// --- Score History ---
+// Every score change, oldest first: { team, teamName, delta, cell, clue, round, source, timestamp }.
+// Undone changes wait in redo until a new score change is made.
+let scoreHistory = { events: [], redo: [] };
+
+// How each score change was made, as shown in the history panel
+const SCORE_SOURCE_LABELS = {
+	'prompt-add': 'Add Points',
+	'prompt-subtract': 'Subtract Points',
+	'stats-add': 'Score table +',
+	'stats-subtract': 'Score table −',
+	'final': 'Final Jeopardy'
+};
+
+function saveScoreHistory() {
+	storage.save('jeopardyScoreHistory', scoreHistory);
+	queueLibrarySave();
+}
+
+function loadScoreHistory() {
+	const saved = storage.load('jeopardyScoreHistory');
+	scoreHistory = saved && Array.isArray(saved.events) ? saved : { events: [], redo: [] };
+	renderScoreHistory();
+}
+
+// Start a new game with an empty history
+function resetScoreHistory() {
+	scoreHistory = { events: [], redo: [] };
+	saveScoreHistory();
+	renderScoreHistory();
+}
+
+// "Category 400" for a board cell id such as tq3-1
+function describeCell(cellId) {
+	const cell = cellId && document.getElementById(cellId);
+	if (!cell) return '';
+	const col = +cellId.split('-')[1];
+	const header = document.querySelectorAll('#game thead th')[col];
+	return `${header ? header.textContent : `Category ${col + 1}`} ${cell.querySelector('h3').textContent}`;
+}
+
+function recordScoreEvent(teamIndex, delta, { source = 'stats-add', cell = null } = {}) {
+	scoreHistory.events.push({
+		team: teamIndex,
+		teamName: teams[teamIndex].name,
+		delta,
+		cell,
+		clue: describeCell(cell),
+		round: currentRound,
+		source,
+		timestamp: new Date().toISOString()
+	});
+	scoreHistory.redo = [];
+	saveScoreHistory();
+	renderScoreHistory();
+}
+
+function isPromptScoreEvent(event) {
+	return event.source === 'prompt-add' || event.source === 'prompt-subtract';
+}
+
+// Mark a prompt award's cell used or unused again (only while its round is on the board)
+function setScoreEventCellUsed(event, used) {
+	if (!isPromptScoreEvent(event) || !event.cell || event.round !== currentRound) return;
+	const cell = document.getElementById(event.cell);
+	if (!cell) return;
+	cell.classList.toggle('used', used);
+	saveBoardState();
+	updateRoundDisplay();
+}
+
+// Take back the latest score change; an undone prompt award also puts its clue back
+// on the board unless another prompt award for the same clue is still recorded
+function undoScoreChange() {
+	const event = scoreHistory.events.pop();
+	if (!event) return;
+
+	if (teams[event.team]) teams[event.team].score -= event.delta;
+	scoreHistory.redo.push(event);
+
+	const clueStillScored = scoreHistory.events.some(other =>
+		isPromptScoreEvent(other) && other.cell === event.cell && other.round === event.round);
+	if (!clueStillScored) setScoreEventCellUsed(event, false);
+
+	saveScoreHistory();
+	renderStats();
+	renderScoreHistory();
+}
+
+function redoScoreChange() {
+	const event = scoreHistory.redo.pop();
+	if (!event) return;
+
+	if (teams[event.team]) teams[event.team].score += event.delta;
+	scoreHistory.events.push(event);
+	setScoreEventCellUsed(event, true);
+
+	saveScoreHistory();
+	renderStats();
+	renderScoreHistory();
+}
+
+// List score changes, newest first
+function renderScoreHistory() {
+	const list = document.getElementById('score-history-list');
+	list.innerHTML = '';
+
+	[...scoreHistory.events].reverse().forEach(event => {
+		const team = teams[event.team];
+		const item = document.createElement('li');
+		item.className = event.delta < 0 ? 'score-loss' : 'score-gain';
+
+		const details = [
+			new Date(event.timestamp).toLocaleTimeString(),
+			`${team ? team.name : event.teamName} ${event.delta < 0 ? '' : '+'}${event.delta}`,
+			event.clue,
+			SCORE_SOURCE_LABELS[event.source] || event.source
+		];
+		item.textContent = details.filter(detail => detail).join(' · ');
+		list.appendChild(item);
+	});
+
+	document.getElementById('score-history-empty').style.display = scoreHistory.events.length ? 'none' : 'block';
+	document.getElementById('undo-score').disabled = scoreHistory.events.length === 0;
+	document.getElementById('redo-score').disabled = scoreHistory.redo.length === 0;
+}
+
+document.getElementById('undo-score').addEventListener('click', undoScoreChange);
+document.getElementById('redo-score').addEventListener('click', redoScoreChange);
+
+let lastCellValue = 0;
+// Id of the last clicked cell, so score changes can be traced back to it
+let lastCellId = null;
+// Get the value of the last clicked cell (for scoring)
+function getCurrentCellValue() {
+	return lastCellValue;
+}
+
+// --- Open Clue State ---
+// The clue in play is saved whenever it changes, so a reload (or reopening the game from the
+// library or a session file) brings it back as it was: the Daily Double wager screen, or the
+// prompt with the response shown or not and the teams already scored. The last clue's value
+// is kept even once it's closed, for the scores table's +/- buttons.
+function savePromptState() {
+	if (isAudienceView) return;
+	const teamSelect = document.getElementById('prompt-team-select');
+	let stage = null;
+	if (openDailyDouble.pending) {
+		stage = 'wager';
+	} else if (showPrompt.lastCell && document.getElementById('prompt').style.display === 'flex') {
+		stage = 'clue';
+	}
+	storage.save('jeopardyPrompt', {
+		cell: lastCellId,
+		value: lastCellValue,
+		stage,
+		answerShown: Boolean(stage === 'clue' && presenterPrompt && presenterPrompt.answerShown),
+		responses: stage === 'clue' ? promptResponses : [],
+		dailyDoubleTeam: stage === 'clue' && teamSelect.disabled ? +teamSelect.value : null
+	});
+	queueLibrarySave();
+}
+
+// Reopen the clue that was in play when the page went away
+function restorePromptState() {
+	const saved = storage.load('jeopardyPrompt');
+	if (!saved || typeof saved !== 'object') return;
+	lastCellValue = Number(saved.value) || 0;
+	lastCellId = saved.cell || null;
+
+	const cell = lastCellId && document.getElementById(lastCellId);
+	if (!saved.stage || !cell || cell.classList.contains('used') || teams.length === 0) return;
+	const [row, col] = lastCellId.slice(2).split('-').map(Number);
+	if (saved.stage === 'wager') {
+		openDailyDouble(row, col, cell);
+		return;
+	}
+
+	showPrompt(row, col, cell);
+	if (teams[saved.dailyDoubleTeam]) lockPromptToTeam(saved.dailyDoubleTeam);
+	promptResponses = Array.isArray(saved.responses) ? saved.responses : [];
+	renderPromptResponses();
+
+	// A right answer had already stopped the clock
+	const lastResponse = promptResponses[promptResponses.length - 1];
+	if (lastResponse && lastResponse.delta > 0) {
+		pausePromptTimer();
+		disarmBuzzers();
+	}
+	if (saved.answerShown) showPromptAnswer();
+	savePromptState();
+}
+
+// Add click handlers to all board cells
+function addCellClickHandlers() {
+	forEachBoardCell((cell, row, col) => {
+		cell.onclick = function () {
+			if (isAudienceView) return; // Only the host picks clues
+			lastCellValue = parseInt(cell.querySelector('h3').textContent, 10) || 0;
+			lastCellId = cell.id;
+			if (isDailyDouble(cell) && teams.length > 0) {
+				openDailyDouble(row, col, cell);
+			} else {
+				showPrompt(row, col, cell);
+			}
+		};
+	});
+}
+
+// --- Prompt Team Selector and Scoring ---
+// Update the team selector dropdown in the prompt modal
+function updatePromptTeamSelect() {
+	const select = document.getElementById('prompt-team-select');
+	select.innerHTML = '';
+	teams.forEach((team, idx) => {
+		const option = document.createElement('option');
+		option.value = idx;
+		option.textContent = team.name;
+		select.appendChild(option);
+	});
+}
+
+// Update team selector whenever teams change
+renderStats = function () {
+	statsBody.innerHTML = '';
+	teams.forEach((team, idx) => {
+		const row = document.createElement('tr');
+		row.innerHTML = `
+        <td><input type="text" value="${team.name}" class="team-name" data-idx="${idx}" style="width:100px;text-align:center;"></td>
+        <td><span id="score-${idx}">${team.score}</span></td>
+        <td><button class="add-points" data-idx="${idx}">+</button></td>
+        <td><button class="subtract-points" data-idx="${idx}">-</button></td>
+        <td><button class="set-buzzer" data-idx="${idx}" title="Click, then press a key or gamepad button">${getBuzzerLabel(getTeamBuzzer(idx))}</button></td>
+    `;
+		statsBody.appendChild(row);
+	});
+	updatePromptTeamSelect();
+	saveTeams();
+};
+
+// Responses scored on the open clue so far: [{ team, delta }]
+let promptResponses = [];
+
+// Helper to handle scoring from prompt modal. The prompt stays open so several teams
+// can be scored on one clue; Done (or Nobody Got It) closes it and marks the cell used.
+function handlePromptScoring(isAdd) {
+	const idx = +document.getElementById('prompt-team-select').value;
+	if (!teams[idx]) return;
+	const points = isAdd ? getCurrentCellValue() : -getCurrentCellValue();
+	modifyTeamScore(idx, points, {
+		source: isAdd ? 'prompt-add' : 'prompt-subtract',
+		cell: showPrompt.lastCell ? showPrompt.lastCell.id : null
+	});
+	promptResponses.push({ team: idx, delta: points });
+	renderPromptResponses();
+	savePromptState();
+
+	// A wrong answer gives the next team a fresh timer (and re-arms buzzers if they're in use);
+	// a right one stops the clock
+	if (isAdd) {
+		pausePromptTimer();
+		disarmBuzzers();
+	} else {
+		startPromptTimer();
+		if (buzzers.winner !== null) armBuzzers();
+	}
+}
+
+// List the responses scored on this clue and swap Nobody Got It/Cancel for Done once there are any
+function renderPromptResponses() {
+	const hasResponses = promptResponses.length > 0;
+	const responses = document.getElementById('prompt-responses');
+	responses.textContent = hasResponses
+		? 'Scored: ' + promptResponses.map(({ team, delta }) =>
+			`${teams[team] ? teams[team].name : `Team ${team + 1}`} ${delta < 0 ? '' : '+'}${delta}`).join(', ')
+		: '';
+
+	document.getElementById('prompt-done').style.display = hasResponses ? 'inline-block' : 'none';
+	document.getElementById('prompt-nobody').style.display = hasResponses ? 'none' : 'inline-block';
+	document.getElementById('prompt-cancel').style.display = hasResponses ? 'none' : 'inline-block';
+}
+
+// Add points to selected team from prompt modal
+const promptAddBtn = document.getElementById('prompt-add-points');
+promptAddBtn.onclick = () => handlePromptScoring(true);
+
+// Subtract points from selected team from prompt modal
+const promptSubBtn = document.getElementById('prompt-subtract-points');
+promptSubBtn.onclick = () => handlePromptScoring(false);
+
+// Finish the clue once every response has been scored
+document.getElementById('prompt-done').onclick = closePromptAndFadeCell;
+
+// Nobody answered correctly: the clue is played without changing any score
+document.getElementById('prompt-nobody').onclick = closePromptAndFadeCell;
+// Cancel button in prompt modal (do not fade cell)
+const promptCancelBtn = document.getElementById('prompt-cancel');
+promptCancelBtn.onclick = function () {
+	document.getElementById('prompt').style.display = 'none';
+	stopPromptTimer();
+	stopPromptMedia();
+	disarmBuzzers();
+	showPrompt.lastCell = null;
+	presenterPrompt = null;
+	notifyAudience('prompt-close');
+	savePromptState();
+};
+// Fade out cell and close prompt after scoring
+function closePromptAndFadeCell() {
+	document.getElementById('prompt').style.display = 'none';
+	stopPromptTimer();
+	stopPromptMedia();
+	disarmBuzzers();
+	promptResponses = [];
+	presenterPrompt = null;
+	notifyAudience('prompt-close');
+	if (showPrompt.lastCell) {
+		showPrompt.lastCell.classList.add('used');
+		saveBoardState();
+		showPrompt.lastCell = null;
+		updateRoundDisplay();
+	}
+	savePromptState();
+}
+// Show the prompt modal for a cell (with question/answer)
+function showPrompt(row, col, cellRef) {
+	const q = document.getElementById(`q${row}-${col}`).textContent;
+	const a = document.getElementById(`aq${row}-${col}`).textContent;
+	const note = document.getElementById(`nq${row}-${col}`).textContent;
+
+	document.getElementById('prompt-answer-img').classList.remove('toShow');
+	document.getElementById('prompt-answer-text').classList.remove('toShow');
+	document.getElementById('prompt-answer-media').classList.remove('toShow');
+
+	document.getElementById('prompt-answer-img').style.display = 'none';
+	document.getElementById('prompt-answer-text').style.display = 'none';
+	document.getElementById('prompt-question-img').style.display = 'none';
+	document.getElementById('prompt-question-text').style.display = 'none';
+
+	document.getElementById('prompt-answer-img').src = '';
+	document.getElementById('prompt-question-img').src = '';
+	document.getElementById('prompt-answer-text').textContent = '';
+	document.getElementById('prompt-question-text').textContent = '';
+	document.getElementById('prompt-answer-text').classList.remove('media-error');
+	document.getElementById('prompt-question-text').classList.remove('media-error');
+	document.getElementById('prompt-question-media').style.display = 'none';
+	document.getElementById('prompt-answer-media').style.display = 'none';
+	stopPromptMedia();
+
+	// Any team may answer unless a Daily Double hands the clue to one team
+	document.getElementById('prompt-team-select').disabled = false;
+	document.getElementById('prompt-wager').textContent = '';
+	promptResponses = [];
+	renderPromptResponses();
+	resetBuzzers();
+
+	document.getElementById('prompt').style.display = 'flex';
+
+	showTextOrImg(q, false).style.display = 'block';
+	const answerElem = showTextOrImg(a, true);
+	answerElem.classList.add('toShow');
+	// Store the cell to fade out after closing
+	showPrompt.lastCell = cellRef || document.getElementById(`tq${row}-${col}`);
+	updatePromptTeamSelect();
+
+	// With an audience window open, the host sees the response and notes straight away;
+	// Show Answer then reveals the response on the audience screen
+	const notesElem = document.getElementById('prompt-notes');
+	notesElem.textContent = presenterMode && note ? `Host notes: ${note}` : '';
+	notesElem.style.display = notesElem.textContent ? 'block' : 'none';
+	if (presenterMode) answerElem.style.display = 'block';
+
+	// The host runs the answer timer; the audience window follows it
+	if (!isAudienceView) startPromptTimer();
+
+	presenterPrompt = { row, col, answerShown: false };
+	syncPromptToAudience();
+	savePromptState();
+}
+
+// Reveal the response in the prompt modal
+function revealPromptAnswer() {
+	document.getElementsByClassName('toShow')[0].style.display = 'block';
+}
+
+// If the string starts with <img>, show image instead of text (or the media player for
+// <audio>/<video>). if ans is true, do for answer
+function showTextOrImg(string, ans) {
+	if (ans) {
+		return renderTextOrImg(string, document.getElementById('prompt-answer-text'),
+			document.getElementById('prompt-answer-img'), 'answers',
+			document.getElementById('prompt-answer-media'), 'media/answers/');
+	}
+	return renderTextOrImg(string, document.getElementById('prompt-question-text'),
+		document.getElementById('prompt-question-img'), 'questions',
+		document.getElementById('prompt-question-media'), 'media/questions/');
+}
+
+// Put a clue/response into the text element, into the image element when it starts
+// with <img> (side is 'questions' or 'answers'), or into the media player (if given) for
+// <audio>/<video>; returns whichever element should be shown. A bad marker, or a file that
+// won't load, shows an error in the text element instead.
+function renderTextOrImg(string, text, img, side, media = null, mediapath = '') {
+	const markerError = getMarkerError(string);
+	if (markerError) {
+		text.textContent = markerError;
+		text.classList.add('media-error');
+		return text;
+	}
+
+	const path = getImagePath(string, side, currentBoard && currentBoard.imageFolder);
+	const mediaInfo = media && getMediaInfo(string, mediapath);
+	if (path) {
+		const url = getImageUrl(path);
+		img.onerror = () => {
+			if (img.getAttribute('src') === url) showMediaError(img, text, `Image not found: ${path}`);
+		};
+		img.src = url;
+		return img;
+	} else if (mediaInfo) {
+		loadPromptMedia(media, mediaInfo, text);
+		return media;
+	} else {
+		text.innerHTML = string;
+		return text;
+	}
+}
+
+// Swap a broken image or media player for an error message in its text element, keeping
+// whether it's shown now or on Show Answer
+function showMediaError(element, text, message) {
+	text.textContent = message;
+	text.classList.add('media-error');
+	if (element.classList.contains('toShow')) {
+		element.classList.remove('toShow');
+		text.classList.add('toShow');
+	}
+	text.style.display = element.style.display;
+	element.style.display = 'none';
+}
+
+// Show the answer in the prompt modal (and on the audience screen)
+function showPromptAnswer() {
+	revealPromptAnswer();
+	if (presenterPrompt) presenterPrompt.answerShown = true;
+	notifyAudience('answer-shown');
+	savePromptState();
+}
+
+document.getElementById('show-answer').onclick = showPromptAnswer;
+
+// --- Prompt Media ---
+// Audio and video clues play in the prompt with Play/Pause and Replay buttons. With an audience
+// window open the host's buttons drive playback there, and the host's copy plays muted in step.
+function loadPromptMedia(container, { kind, path }, text) {
+	container.querySelectorAll('audio, video').forEach(element => {
+		const isActive = element.tagName.toLowerCase() === kind;
+		element.style.display = isActive ? 'block' : 'none';
+		if (isActive) {
+			element.onerror = () => {
+				if (element.getAttribute('src') === path) showMediaError(container, text, `Media not found: ${path}`);
+			};
+			element.src = path;
+			element.muted = presenterMode && !isAudienceView;
+		}
+	});
+	updateMediaControls(container);
+}
+
+// The audio or video element a prompt media container is using, if any
+function getActiveMedia(container) {
+	return Array.from(container.querySelectorAll('audio, video')).find(element => element.getAttribute('src')) || null;
+}
+
+function updateMediaControls(container) {
+	const element = getActiveMedia(container);
+	container.querySelector('.media-play').textContent = element && !element.paused ? 'Pause' : 'Play';
+}
+
+// Play, pause or replay the clue's ('question') or response's ('answer') media
+function controlPromptMedia(side, action) {
+	const container = document.getElementById(`prompt-${side}-media`);
+	const element = getActiveMedia(container);
+	if (!element) return;
+
+	if (action === 'pause') {
+		element.pause();
+	} else {
+		if (action === 'replay') element.currentTime = 0;
+		element.play().catch(error => console.error('Error playing media:', error));
+	}
+}
+
+// Stop and unload everything playing in the prompt (on close, Cancel or the next clue)
+function stopPromptMedia() {
+	document.querySelectorAll('#prompt audio, #prompt video').forEach(element => {
+		element.pause();
+		element.removeAttribute('src');
+		element.load();
+	});
+	document.querySelectorAll('#prompt .prompt-media').forEach(updateMediaControls);
+}
+
+['question', 'answer'].forEach(side => {
+	const container = document.getElementById(`prompt-${side}-media`);
+	const handleAction = action => {
+		controlPromptMedia(side, action);
+		notifyAudience('media', { side, action });
+	};
+
+	container.querySelector('.media-play').addEventListener('click', function () {
+		const element = getActiveMedia(container);
+		handleAction(element && !element.paused ? 'pause' : 'play');
+	});
+	container.querySelector('.media-replay').addEventListener('click', () => handleAction('replay'));
+	container.querySelectorAll('audio, video').forEach(element => {
+		['play', 'pause', 'ended'].forEach(type => element.addEventListener(type, () => updateMediaControls(container)));
+	});
+});
+
+// --- Answer Timer ---
+// Countdown bar in the prompt, started when a clue opens. Its length comes from the round's
+// Timer: setting, falling back to the game's; the game's Timeout: setting decides what
+// happens when it runs out. The audience window mirrors the host's timer.
+const promptTimer = { total: 0, remaining: 0, deadline: 0, intervalId: null };
+
+// Timer length in seconds for the current round (0 when there's no timer)
+function getTimerSeconds() {
+	if (!currentBoard) return 0;
+	const round = currentBoard.rounds[currentRound];
+	return parseInt((round && round.timer) || currentBoard.timer, 10) || 0;
+}
+
+function isPromptTimerRunning() {
+	return promptTimer.intervalId !== null;
+}
+
+// (Re)start the countdown from the full length; hidden when the game has no timer
+function startPromptTimer(totalMs = getTimerSeconds() * 1000) {
+	stopPromptTimer();
+	promptTimer.total = totalMs;
+	promptTimer.remaining = totalMs;
+	document.getElementById('prompt-timer').style.display = totalMs > 0 ? 'flex' : 'none';
+	if (totalMs > 0) {
+		resumePromptTimer();
+	} else {
+		renderPromptTimer();
+	}
+}
+
+function resumePromptTimer() {
+	if (isPromptTimerRunning() || promptTimer.remaining <= 0) return;
+	promptTimer.deadline = Date.now() + promptTimer.remaining;
+	promptTimer.intervalId = setInterval(tickPromptTimer, 100);
+	renderPromptTimer();
+	notifyAudience('timer', getPromptTimerState());
+}
+
+function pausePromptTimer() {
+	if (!isPromptTimerRunning()) return;
+	promptTimer.remaining = Math.max(promptTimer.deadline - Date.now(), 0);
+	stopPromptTimer();
+	renderPromptTimer();
+	notifyAudience('timer', getPromptTimerState());
+}
+
+// Stop counting without touching the display (prompt closing)
+function stopPromptTimer() {
+	clearInterval(promptTimer.intervalId);
+	promptTimer.intervalId = null;
+}
+
+function tickPromptTimer() {
+	promptTimer.remaining = Math.max(promptTimer.deadline - Date.now(), 0);
+	if (promptTimer.remaining === 0) {
+		stopPromptTimer();
+		renderPromptTimer();
+		handlePromptTimeout();
+	} else {
+		renderPromptTimer();
+	}
+}
+
+// Time's up: reveal the response or close the clue if the game asks for it
+function handlePromptTimeout() {
+	if (isAudienceView || !currentBoard) return;
+	if (currentBoard.timeout === 'reveal') {
+		showPromptAnswer();
+	} else if (currentBoard.timeout === 'dead') {
+		closePromptAndFadeCell();
+	}
+}
+
+function renderPromptTimer() {
+	const { total, remaining } = promptTimer;
+	const expired = total > 0 && remaining === 0;
+	document.getElementById('prompt-timer-bar').style.width = total > 0 ? `${(remaining / total) * 100}%` : '0%';
+	document.getElementById('prompt-timer-text').textContent = expired ? "Time's up!" : `${Math.ceil(remaining / 1000)}s`;
+
+	const toggle = document.getElementById('prompt-timer-toggle');
+	toggle.textContent = isPromptTimerRunning() ? 'Pause' : 'Resume';
+	toggle.style.display = expired ? 'none' : 'inline-block';
+
+	const timer = document.getElementById('prompt-timer');
+	timer.classList.toggle('expired', expired);
+	timer.classList.toggle('paused', !expired && !isPromptTimerRunning());
+}
+
+// Snapshot sent to the audience window
+function getPromptTimerState() {
+	const running = isPromptTimerRunning();
+	return {
+		total: promptTimer.total,
+		remaining: running ? Math.max(promptTimer.deadline - Date.now(), 0) : promptTimer.remaining,
+		running
+	};
+}
+
+// Audience window: show the host's timer, counting down locally while it runs
+function applyPromptTimerState(state) {
+	stopPromptTimer();
+	promptTimer.total = state ? state.total : 0;
+	promptTimer.remaining = state ? state.remaining : 0;
+	document.getElementById('prompt-timer').style.display = promptTimer.total > 0 ? 'flex' : 'none';
+	if (state && state.running) {
+		resumePromptTimer();
+	} else {
+		renderPromptTimer();
+	}
+}
+
+document.getElementById('prompt-timer-toggle').addEventListener('click', function () {
+	if (isPromptTimerRunning()) {
+		pausePromptTimer();
+	} else {
+		resumePromptTimer();
+	}
+});
+
+// --- Buzzers ---
+// Each team rings in with a keyboard key (1, 2, 3... by default) or a gamepad button, set from
+// the Buzzer column of the scores table. Bindings are a lower-case KeyboardEvent.key, or
+// "pad<gamepad>:<button>", saved on the team as team.buzzer ('' for none).
+const DEFAULT_BUZZER_KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'];
+
+// Ringing in before the host arms the buzzers locks that team out briefly, as on the show
+const BUZZER_PENALTY_MS = 250;
+
+// Buzzer state for the open clue: armed once the host has read it, the teams that rang in
+// (in order) and the first of them, plus any early-buzz lockouts (team index → end time)
+const buzzers = { armed: false, order: [], winner: null, lockedUntil: {} };
+
+// Team waiting for a key or gamepad button to be assigned, if any
+let buzzerAssignment = null;
+
+// Gamepad buttons held down at the last poll, so a held button only buzzes once
+const gamepadButtonsDown = new Set();
+let gamepadPollId = null;
+
+function getTeamBuzzer(idx) {
+	const team = teams[idx];
+	if (!team) return '';
+	return team.buzzer !== undefined ? team.buzzer : (DEFAULT_BUZZER_KEYS[idx] || '');
+}
+
+function getBuzzerLabel(binding) {
+	if (!binding) return 'None';
+	const pad = binding.match(/^pad(\d+):(\d+)$/);
+	if (pad) return `Pad ${+pad[1] + 1} · B${pad[2]}`;
+	if (binding === ' ') return 'Space';
+	return binding.length === 1 ? binding.toUpperCase() : binding;
+}
+
+function findTeamByBuzzer(binding) {
+	return teams.findIndex((team, idx) => getTeamBuzzer(idx) === binding);
+}
+
+// Wait for the next key or gamepad button and give it to the team (Escape cancels)
+function startBuzzerAssignment(idx, button) {
+	buzzerAssignment = idx;
+	button.textContent = 'Press a key…';
+}
+
+function assignBuzzer(binding) {
+	const idx = buzzerAssignment;
+	buzzerAssignment = null;
+
+	if (binding !== null && teams[idx]) {
+		// A key or button belongs to one team only
+		teams.forEach((team, other) => {
+			if (other !== idx && getTeamBuzzer(other) === binding) team.buzzer = '';
+		});
+		teams[idx].buzzer = binding;
+	}
+	renderStats();
 }
 
-// Add click handlers to all board cells
-function addCellClickHandlers() {
-	forEachBoardCell((cell, row, col) => {
-		cell.onclick = function () {
-			lastCellValue = parseInt(cell.querySelector('h3').textContent, 10) || 0;
-			showPrompt(row, col, cell);
-		};
-	});
+// A fresh clue: buzzers wait for the host to arm them
+function resetBuzzers() {
+	Object.assign(buzzers, { armed: false, order: [], winner: null, lockedUntil: {} });
+	document.getElementById('buzzer-controls').style.display = 'block';
+	renderBuzzers();
 }
 
-// --- Prompt Team Selector and Scoring ---
-// Update the team selector dropdown in the prompt modal
-function updatePromptTeamSelect() {
-	const select = document.getElementById('prompt-team-select');
-	select.innerHTML = '';
-	teams.forEach((team, idx) => {
-		const option = document.createElement('option');
-		option.value = idx;
-		option.textContent = team.name;
-		select.appendChild(option);
-	});
+// Open the buzzers (again, after a wrong answer) to every team that hasn't answered yet
+function armBuzzers() {
+	Object.assign(buzzers, { armed: true, order: [], winner: null });
+	renderBuzzers();
+	notifyAudience('buzzers', buzzers);
 }
 
-// Update team selector whenever teams change
-renderStats = function () {
-	statsBody.innerHTML = '';
-	teams.forEach((team, idx) => {
-		const row = document.createElement('tr');
-		row.innerHTML = `
-        <td><input type="text" value="${team.name}" class="team-name" data-idx="${idx}" style="width:100px;text-align:center;"></td>
-        <td><span id="score-${idx}">${team.score}</span></td>
-        <td><button class="add-points" data-idx="${idx}">+</button></td>
-        <td><button class="subtract-points" data-idx="${idx}">-</button></td>
-    `;
-		statsBody.appendChild(row);
-	});
-	updatePromptTeamSelect();
-	saveTeams();
-};
+function disarmBuzzers() {
+	if (!buzzers.armed) return;
+	buzzers.armed = false;
+	renderBuzzers();
+	notifyAudience('buzzers', buzzers);
+}
 
-// Helper to handle scoring from prompt modal
-function handlePromptScoring(isAdd) {
-	const idx = +document.getElementById('prompt-team-select').value;
-	const points = isAdd ? getCurrentCellValue() : -getCurrentCellValue();
-	modifyTeamScore(idx, points);
-	closePromptAndFadeCell();
+function isBuzzerPromptOpen() {
+	return document.getElementById('prompt').style.display === 'flex' &&
+		document.getElementById('buzzer-controls').style.display !== 'none';
 }
 
-// Add points to selected team from prompt modal
-const promptAddBtn = document.getElementById('prompt-add-points');
-promptAddBtn.onclick = () => handlePromptScoring(true);
+// A team rang in: the first one after arming takes the clue and is selected for scoring
+function handleBuzz(idx) {
+	if (!teams[idx] || promptResponses.some(response => response.team === idx)) return;
+	const now = Date.now();
 
-// Subtract points from selected team from prompt modal
-const promptSubBtn = document.getElementById('prompt-subtract-points');
-promptSubBtn.onclick = () => handlePromptScoring(false);
-// Cancel button in prompt modal (do not fade cell)
-const promptCancelBtn = document.getElementById('prompt-cancel');
-promptCancelBtn.onclick = function () {
-	document.getElementById('prompt').style.display = 'none';
-	showPrompt.lastCell = null;
-};
-// Fade out cell and close prompt after scoring
-function closePromptAndFadeCell() {
-	document.getElementById('prompt').style.display = 'none';
-	if (showPrompt.lastCell) {
-		showPrompt.lastCell.classList.add('used');
-		saveBoardState();
-		showPrompt.lastCell = null;
+	if (!buzzers.armed) {
+		buzzers.lockedUntil[idx] = now + BUZZER_PENALTY_MS;
+		renderBuzzers();
+		setTimeout(renderBuzzers, BUZZER_PENALTY_MS);
+		return;
+	}
+
+	if ((buzzers.lockedUntil[idx] || 0) > now || buzzers.order.includes(idx)) return;
+
+	buzzers.order.push(idx);
+	if (buzzers.winner === null) {
+		buzzers.winner = idx;
+		document.getElementById('prompt-team-select').value = idx;
 	}
+	renderBuzzers();
+	notifyAudience('buzzers', buzzers);
 }
-// Show the prompt modal for a cell (with question/answer)
-function showPrompt(row, col, cellRef) {
-	const q = document.getElementById(`q${row}${col}`).textContent;
-	const a = document.getElementById(`aq${row}${col}`).textContent;
 
-	document.getElementById('prompt-answer-img').classList.remove('toShow');
-	document.getElementById('prompt-answer-text').classList.remove('toShow');
+// Route a key or gamepad button to an assignment in progress or to a buzz
+function handleBuzzerInput(binding) {
+	if (buzzerAssignment !== null) {
+		assignBuzzer(binding);
+		return true;
+	}
+	if (isAudienceView || !isBuzzerPromptOpen()) return false;
 
-	document.getElementById('prompt-answer-img').style.display = 'none';
-	document.getElementById('prompt-answer-text').style.display = 'none';
-	document.getElementById('prompt-question-img').style.display = 'none';
-	document.getElementById('prompt-question-text').style.display = 'none';
+	const idx = findTeamByBuzzer(binding);
+	if (idx === -1) return false;
+	handleBuzz(idx);
+	return true;
+}
 
-	document.getElementById('prompt-answer-img').src = '';
-	document.getElementById('prompt-question-img').src = '';
-	document.getElementById('prompt-answer-text').textContent = '';
-	document.getElementById('prompt-question-text').textContent = '';
+// Arm button state and the order teams rang in, with any early buzzers locked out
+function renderBuzzers() {
+	const armBtn = document.getElementById('arm-buzzers');
+	armBtn.textContent = buzzers.armed ? (buzzers.winner === null ? 'Buzzers Armed…' : 'Re-arm Buzzers') : 'Arm Buzzers';
+	armBtn.classList.toggle('armed', buzzers.armed && buzzers.winner === null);
+
+	const list = document.getElementById('buzz-order');
+	list.innerHTML = '';
+	const now = Date.now();
+
+	buzzers.order.forEach(idx => {
+		if (!teams[idx]) return;
+		const item = document.createElement('li');
+		item.textContent = teams[idx].name;
+		if (idx === buzzers.winner) item.className = 'buzz-winner';
+		list.appendChild(item);
+	});
 
-	document.getElementById('prompt').style.display = 'flex';
+	Object.keys(buzzers.lockedUntil).forEach(idx => {
+		if (buzzers.lockedUntil[idx] <= now || !teams[idx]) return;
+		const item = document.createElement('li');
+		item.className = 'buzz-early';
+		item.textContent = `${teams[idx].name} (too early)`;
+		list.appendChild(item);
+	});
+}
 
-	showTextOrImg(q, false).style.display = 'block';
-	showTextOrImg(a, true).classList.add('toShow');
-	// Store the cell to fade out after closing
-	showPrompt.lastCell = cellRef || document.getElementById(`tq${row}${col}`);
-	updatePromptTeamSelect();
+// Check every connected gamepad for newly pressed buttons
+function pollGamepads() {
+	const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+	pads.forEach(pad => {
+		if (!pad) return;
+		pad.buttons.forEach((button, b) => {
+			const binding = `pad${pad.index}:${b}`;
+			if (button.pressed && !gamepadButtonsDown.has(binding)) {
+				gamepadButtonsDown.add(binding);
+				handleBuzzerInput(binding);
+			} else if (!button.pressed) {
+				gamepadButtonsDown.delete(binding);
+			}
+		});
+	});
+	gamepadPollId = pads.some(pad => pad) ? requestAnimationFrame(pollGamepads) : null;
 }
 
-// If the string starts with <img>, show image instead of text. if ans is true, do for answer
-function showTextOrImg(string, ans) {
-	if (ans) {
-		img = document.getElementById('prompt-answer-img');
-		text = document.getElementById('prompt-answer-text');
-		imgpath = 'images/answers/';
-	} else {
-		img = document.getElementById('prompt-question-img');
-		text = document.getElementById('prompt-question-text');
-		imgpath = 'images/questions/';
-	}
+window.addEventListener('gamepadconnected', function () {
+	if (gamepadPollId === null) pollGamepads();
+});
 
-	console.log('showTextOrImg input:', string.substring(0, 5));
+document.addEventListener('keydown', function (e) {
+	if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
 
-	if (string.substring(0, 5) === "<img>") {
-		img.src = imgpath + string.substring(5).trim() + ".png";
-		return img;
-	} else {
-		text.innerHTML = string;
-		return text;
+	if (buzzerAssignment !== null) {
+		e.preventDefault();
+		assignBuzzer(e.key === 'Escape' ? null : e.key.toLowerCase());
+		return;
 	}
-}
 
-// Show the answer in the prompt modal
-document.getElementById('show-answer').onclick = function () {
-	document.getElementsByClassName('toShow')[0].style.display = 'block';
-};
+	// Don't treat typing (team names, wagers) as buzzing
+	if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+	if (handleBuzzerInput(e.key.toLowerCase())) e.preventDefault();
+});
 
-// On reset, clear all storage and reload the page
+document.getElementById('arm-buzzers').addEventListener('click', armBuzzers);
+
+// Close the game: empty the active game's slot (it stays in the library) and reload to the home screen
 document.getElementById('reset-board').onclick = function () {
 	document.getElementById('upload-controls').style.display = '';
 	// Hide create form and team setup
@@ -977,13 +3442,14 @@ document.getElementById('reset-board').onclick = function () {
 
 	// Remove the title from localStorage so it doesn't reappear after reload
 	localStorage.removeItem('jeopardyTitle');
-	localStorage.removeItem('jeopardyFormDraft');  // Clear any saved draft
+	closeActiveDraft();  // Put any draft away; it stays in the drafts list
 	document.getElementById('title').style.display = 'none';
 	clearAllStorage();
 
 	// Clear any existing categories in the form
 	categoriesContainer.innerHTML = '';
 
+	notifyAudience('reset');
 	location.reload();
 };
 
@@ -1047,9 +3513,14 @@ document.getElementById('file-teams-continue').addEventListener('click', functio
 	titleElem.textContent = title;
 	titleElem.style.display = title ? 'block' : 'none';
 
-	// Clear used cells for new game
+	// Clear used cells for new game and start at the first round
 	forEachBoardCell((cell) => cell.classList.remove('used'));
 	saveBoardState();
+	saveRound(0);
+	placeDailyDoubles();
+	resetFinalState();
+	resetScoreHistory();
+	updateRoundDisplay();
 
 	// Hide upload controls and team setup
 	document.getElementById('upload-controls').style.display = 'none';
@@ -1058,6 +3529,7 @@ document.getElementById('file-teams-continue').addEventListener('click', functio
 	// Show stats table with the new teams
 	renderStats();
 	setStatsVisibility(true);
+	addGameToLibrary();
 });
 
 // Initialize file teams when needed
@@ -1080,7 +3552,7 @@ const categoriesContainer = document.getElementById('categories-container');
 
 // Default values for new categories and questions
 const DEFAULT_CATEGORY = "New Category";
-const DEFAULT_VALUES = [100, 200, 300, 400, 500];
+const DEFAULT_VALUE_STEP = 100;
 const DEFAULT_QUESTIONS = Array(5).fill().map(() => ({ value: "", question: "", answer: "" }));
 
 // Trigger the file dialog when Load Draft File button is clicked
@@ -1125,16 +3597,6 @@ showCreateFormBtn.addEventListener('click', function () {
 	// Hide stats table when form is shown
 	setStatsVisibility(false);
 
-	// Add input listener to title field for auto-saving
-	const titleField = document.getElementById('board-title');
-	if (titleField) {
-		titleField.addEventListener('input', function () {
-			// Save form state to draft
-			const formData = gatherFormData();
-			storage.save('jeopardyFormDraft', formData);
-		});
-	}
-
 	// Remove the draft notification banner if it exists
 	const draftNotification = document.getElementById('draft-notification');
 	if (draftNotification) {
@@ -1142,36 +3604,9 @@ showCreateFormBtn.addEventListener('click', function () {
 	}
 
 	try {
-		// Check if there's a saved draft
-		const savedDraft = storage.load('jeopardyFormDraft');
-
-		if (savedDraft) {
-			// Ask user if they want to restore their draft
-			CustomDialog.confirm('We found a saved draft of your game board. Would you like to restore it?', 'Restore Draft?').then(restoreDraft => {
-				if (restoreDraft) {
-					// Initialize a clean form first to ensure proper structure
-					reinitializeForm();
-
-					// Then try to load the draft data
-					if (!loadFormDraft()) {
-						// If loading failed, we already have a clean form from reinitializeForm
-						console.error("Failed to load draft, using clean form instead");
-						CustomDialog.error("There was an issue loading your draft. Starting with a fresh form.");
-						discardFormDraft(); // Clear the problematic draft
-					}
-				} else {
-					// User doesn't want to restore, proceed with a new form
-					// Clear the draft from storage
-					discardFormDraft();
-
-					// Create a fresh form
-					reinitializeForm();
-				}
-			});
-		} else {
-			// No draft found, set up a new form
-			reinitializeForm();
-		}
+		// Start from a clean form, then offer the saved drafts (if any) to continue instead
+		reinitializeForm();
+		chooseDraft();
 	} catch (error) {
 		// If anything goes wrong, create a fresh form
 		console.error("Error handling create form:", error);
@@ -1189,12 +3624,322 @@ showCreateFormBtn.addEventListener('click', function () {
 	});
 });
 
-// Add a new category to the form
-function addCategory() {
-	const categoryIndex = document.querySelectorAll('.category-section').length;
+// Parse a "200, 400, 600" row values list; null when any entry isn't a positive whole number
+function parseRowValues(text) {
+	const values = text.split(/[,\s]+/).filter(value => value);
+	if (values.length === 0 || !values.every(isValidPointValue)) return null;
+	return values.map(value => parseInt(value, 10));
+}
+
+// Default point values for a column of the given length: the form's row values,
+// falling back to 100, 200, 300, ...
+function getDefaultValues(rows) {
+	const rowValuesInput = document.getElementById('row-values');
+	const rowValues = (rowValuesInput && parseRowValues(rowValuesInput.value)) || [];
+	return Array.from({ length: rows }, (_, i) => rowValues[i] || (i + 1) * DEFAULT_VALUE_STEP);
+}
+
+// Set every category's point values from the row values list
+function applyRowValues() {
+	const rowValuesInput = document.getElementById('row-values');
+	const rowValues = parseRowValues(rowValuesInput.value);
+
+	if (!rowValues) {
+		CustomDialog.alert('Enter point values as positive whole numbers separated by commas, for example "200, 400, 600, 800, 1000".');
+		rowValuesInput.focus();
+		return;
+	}
+
+	document.querySelectorAll('.category-section').forEach(catSection => {
+		catSection.querySelectorAll('.question-value').forEach((valueInput, row) => {
+			if (rowValues[row] === undefined) return;
+			setFieldValue(valueInput, rowValues[row]);
+			valueInput.classList.remove('validation-error');
+		});
+	});
+	saveFormDraft();
+}
+
+document.getElementById('apply-row-values').addEventListener('click', applyRowValues);
+
+// Read the board size chosen in the form
+function getFormDimensions() {
+	const columnsInput = document.getElementById('board-columns');
+	const rowsInput = document.getElementById('board-rows');
+	return {
+		columns: clampDimension(columnsInput ? columnsInput.value : null, DEFAULT_COLUMNS, MAX_COLUMNS),
+		rows: clampDimension(rowsInput ? rowsInput.value : null, DEFAULT_ROWS, MAX_ROWS)
+	};
+}
+
+// Set the board size inputs in the form
+function setFormDimensions(columns, rows) {
+	document.getElementById('board-columns').value = columns;
+	document.getElementById('board-rows').value = rows;
+}
+
+// Clear the form and add a single round with one empty category per board column
+function buildCategoryInputs() {
+	categoriesContainer.innerHTML = '';
+	addRound();
+}
+
+// Set a form field's value and its validation styling
+function setFieldValue(input, value) {
+	if (!input) return;
+	input.value = value === undefined || value === null ? '' : value;
+	if (input.value.trim()) {
+		input.classList.add('has-content');
+	} else {
+		input.classList.remove('has-content');
+	}
+	if (input.dataset.imageSide) updateImagePreview(input);
+}
+
+// Rounds of board or form data; drafts saved before rounds existed keep categories at the top level
+function getBoardRounds(board) {
+	return board.rounds || [{ name: '', multiplier: '1', categories: board.categories || [] }];
+}
+
+// Rebuild the form for a parsed board (see parseBoardText) and fill in its content
+function fillFormFromBoardData(board) {
+	setFormDimensions(board.columns || DEFAULT_COLUMNS, board.rows || DEFAULT_ROWS);
+	setFieldValue(document.getElementById('board-title'), board.title);
+	setTimerInputs(board.timer, board.timeout);
+	document.getElementById('image-folder').value = board.imageFolder || '';
+
+	const final = board.final || {};
+	setFieldValue(document.getElementById('final-category'), final.category);
+	setFieldValue(document.getElementById('final-question'), final.question);
+	setFieldValue(document.getElementById('final-answer'), final.answer);
+
+	categoriesContainer.innerHTML = '';
+	getBoardRounds(board).forEach((round) => {
+		const roundSection = addRound(round);
+		const categorySections = roundSection.querySelectorAll('.category-section');
+
+		(round.categories || []).forEach((category, index) => {
+			const catSection = categorySections[index];
+			if (!catSection) return; // Extra categories don't fit the board
+
+			setFieldValue(catSection.querySelector('.category-name'), category.name);
+
+			const questionItems = catSection.querySelectorAll('.question-item');
+			(category.clues || []).forEach((clue, qIndex) => {
+				const qItem = questionItems[qIndex];
+				if (!qItem) return;
+
+				// Keep the row's default value when the clue has none
+				if (clue.value !== undefined && clue.value !== '') {
+					setFieldValue(qItem.querySelector('.question-value'), clue.value);
+				}
+				setFieldValue(qItem.querySelector('.question-question'), clue.question);
+				setFieldValue(qItem.querySelector('.question-answer'), clue.answer);
+				setFieldValue(qItem.querySelector('.question-note'), clue.note);
+				qItem.querySelector('.question-daily-double').checked = Boolean(clue.dailyDouble);
+			});
+		});
+	});
+}
+
+// Rebuild the category inputs when the board size changes, keeping what was already entered
+async function handleBoardSizeChange() {
+	const formData = gatherFormData();
+	const firstRoundCategories = formData.rounds.length > 0 ? formData.rounds[0].categories : [];
+	const previousColumns = firstRoundCategories.length || DEFAULT_COLUMNS;
+	const previousRows = firstRoundCategories.length > 0 ? firstRoundCategories[0].clues.length : DEFAULT_ROWS;
+	const { columns, rows } = getFormDimensions();
+	setFormDimensions(columns, rows);
+
+	// Warn before dropping categories or clues that already have content
+	const hasContent = clue => clue.question.trim() || clue.answer.trim();
+	const dropsContent = formData.rounds.some(round => round.categories.some((category, index) => index >= columns
+		? category.name || category.clues.some(hasContent)
+		: category.clues.slice(rows).some(hasContent)));
+
+	if (dropsContent) {
+		const confirmed = await CustomDialog.confirm(
+			'Shrinking the board will remove categories or clues you have already filled in. Continue?',
+			'Resize Board?'
+		);
+		if (!confirmed) {
+			setFormDimensions(previousColumns, previousRows);
+			return;
+		}
+	}
+
+	fillFormFromBoardData({ ...formData, columns, rows });
+	saveFormDraft();
+}
+
+document.getElementById('board-columns').addEventListener('change', handleBoardSizeChange);
+document.getElementById('board-rows').addEventListener('change', handleBoardSizeChange);
+
+// Add a round to the form (name, value multiplier and one empty category per board column)
+function addRound(round = {}) {
+	const roundIndex = categoriesContainer.querySelectorAll('.round-section').length;
+
+	const roundSection = document.createElement('div');
+	roundSection.className = 'round-section';
+	roundSection.dataset.index = roundIndex;
+
+	const roundHeader = document.createElement('div');
+	roundHeader.className = 'round-header';
+
+	const heading = document.createElement('h3');
+	heading.textContent = `Round ${roundIndex + 1}`;
+	roundHeader.appendChild(heading);
+
+	const nameInput = document.createElement('input');
+	nameInput.type = 'text';
+	nameInput.className = 'round-name';
+	nameInput.placeholder = getRoundName(null, roundIndex);
+	nameInput.title = 'Round name';
+	nameInput.value = round.name || '';
+	roundHeader.appendChild(nameInput);
+
+	const multiplierLabel = document.createElement('label');
+	multiplierLabel.className = 'round-multiplier-label';
+	multiplierLabel.textContent = 'Value ×';
+	const multiplierInput = document.createElement('input');
+	multiplierInput.type = 'number';
+	multiplierInput.min = '1';
+	multiplierInput.step = '1';
+	multiplierInput.className = 'round-multiplier';
+	multiplierInput.title = 'Value multiplier for this round';
+	multiplierInput.value = round.multiplier !== undefined ? round.multiplier : roundIndex + 1;
+	multiplierLabel.appendChild(multiplierInput);
+	roundHeader.appendChild(multiplierLabel);
+
+	// Total Daily Doubles; clues ticked DD count toward it and the rest are placed at random
+	const dailyDoublesLabel = document.createElement('label');
+	dailyDoublesLabel.className = 'round-daily-doubles-label';
+	dailyDoublesLabel.textContent = 'Daily Doubles';
+	const dailyDoublesInput = document.createElement('input');
+	dailyDoublesInput.type = 'number';
+	dailyDoublesInput.min = '0';
+	dailyDoublesInput.step = '1';
+	dailyDoublesInput.placeholder = '0';
+	dailyDoublesInput.className = 'round-daily-doubles';
+	dailyDoublesInput.title = 'Daily Doubles in this round (clues ticked DD count toward it; the rest are placed at random)';
+	dailyDoublesInput.value = round.dailyDoubles || '';
+	dailyDoublesLabel.appendChild(dailyDoublesInput);
+	roundHeader.appendChild(dailyDoublesLabel);
+
+	// Answer timer for this round; blank uses the game's timer
+	const timerLabel = document.createElement('label');
+	timerLabel.className = 'round-timer-label';
+	timerLabel.textContent = 'Timer (s)';
+	const timerInput = document.createElement('input');
+	timerInput.type = 'number';
+	timerInput.min = '0';
+	timerInput.step = '1';
+	timerInput.placeholder = 'Game';
+	timerInput.className = 'round-timer';
+	timerInput.title = "Answer timer in seconds for this round (blank uses the game's timer, 0 turns it off)";
+	timerInput.value = round.timer || '';
+	timerLabel.appendChild(timerInput);
+	roundHeader.appendChild(timerLabel);
+
+	// The first round can't be removed
+	if (roundIndex > 0) {
+		const removeBtn = document.createElement('button');
+		removeBtn.type = 'button';
+		removeBtn.className = 'remove-round';
+		removeBtn.textContent = 'Remove Round';
+		removeBtn.addEventListener('click', () => removeRound(roundSection));
+		roundHeader.appendChild(removeBtn);
+	}
+
+	const roundCategories = document.createElement('div');
+	roundCategories.className = 'round-categories';
+
+	roundSection.appendChild(roundHeader);
+	roundSection.appendChild(roundCategories);
+	categoriesContainer.appendChild(roundSection);
+
+	const { columns } = getFormDimensions();
+	for (let i = 0; i < columns; i++) {
+		addCategory(roundSection);
+	}
+
+	return roundSection;
+}
+
+// Remove a round from the form, renumbering the rounds after it
+async function removeRound(roundSection) {
+	const roundIndex = +roundSection.dataset.index;
+	const formData = gatherFormData();
+	const round = formData.rounds[roundIndex];
+	const hasContent = round.categories.some(category =>
+		category.name || category.clues.some(clue => clue.question.trim() || clue.answer.trim()));
+
+	if (hasContent) {
+		const confirmed = await CustomDialog.confirm(
+			`Remove Round ${roundIndex + 1} and everything entered in it?`,
+			'Remove Round?'
+		);
+		if (!confirmed) return;
+	}
+
+	formData.rounds.splice(roundIndex, 1);
+	fillFormFromBoardData(formData);
+	saveFormDraft();
+}
+
+document.getElementById('add-round').addEventListener('click', function () {
+	addRound();
+	saveFormDraft();
+});
+
+// Final Jeopardy inputs in the form (optional section below the rounds)
+const FINAL_INPUT_IDS = ['final-category', 'final-question', 'final-answer'];
+
+function clearFinalInputs() {
+	FINAL_INPUT_IDS.forEach(id => {
+		const input = document.getElementById(id);
+		setFieldValue(input, '');
+		input.classList.remove('validation-error');
+	});
+}
+
+// Clear a Final Jeopardy field's error once it's filled in
+FINAL_INPUT_IDS.forEach(id => {
+	document.getElementById(id).addEventListener('input', function () {
+		if (this.value.trim()) this.classList.remove('validation-error');
+	});
+});
+
+// Game-wide answer timer settings in the form
+function setTimerInputs(timer, timeout) {
+	document.getElementById('timer-seconds').value = timer || '';
+	const timeoutSelect = document.getElementById('timer-timeout');
+	timeoutSelect.value = TIMEOUT_ACTIONS.includes(timeout) ? timeout : '';
+}
+
+// Reset the game-wide timer and image folder settings in the form
+function clearGameSettingInputs() {
+	setTimerInputs('', '');
+	document.getElementById('timer-seconds').classList.remove('validation-error');
+	document.getElementById('image-folder').value = '';
+}
+
+// The image folder moves every preview
+document.getElementById('image-folder').addEventListener('input', function () {
+	document.querySelectorAll('[data-image-side]').forEach(updateImagePreview);
+});
+
+// Add a new category to the form (to the last round unless a round is given)
+function addCategory(roundSection = categoriesContainer.querySelector('.round-section:last-child')) {
+	if (!roundSection) roundSection = addRound();
 
-	// Only allow up to 5 categories (5x5 game board)
-	if (categoryIndex >= 5) return;
+	const roundIndex = +roundSection.dataset.index;
+	const roundCategories = roundSection.querySelector('.round-categories');
+	const categoryIndex = roundCategories.querySelectorAll('.category-section').length;
+	const { columns, rows } = getFormDimensions();
+
+	// Only allow as many categories as the board has columns
+	if (categoryIndex >= columns) return;
 
 	// Create category container
 	const categorySection = document.createElement('div');
@@ -1207,14 +3952,14 @@ function addCategory() {
 
 	// Create label element safely
 	const label = document.createElement('label');
-	label.setAttribute('for', `category-${categoryIndex}`);
+	label.setAttribute('for', `category-${roundIndex}-${categoryIndex}`);
 	label.textContent = `Category ${categoryIndex + 1}:`;
 	categoryHeader.appendChild(label);
 
 	// Create input element safely
 	const input = document.createElement('input');
 	input.type = 'text';
-	input.id = `category-${categoryIndex}`;
+	input.id = `category-${roundIndex}-${categoryIndex}`;
 	input.placeholder = 'Enter category name';
 	input.className = 'category-name required-field';
 	input.required = true;
@@ -1225,33 +3970,57 @@ function addCategory() {
 	questionsContainer.className = 'questions-container';
 
 	// Add question inputs for this category
-	DEFAULT_VALUES.forEach((value, qIndex) => {
+	getDefaultValues(rows).forEach((value, qIndex) => {
 		const questionItem = document.createElement('div');
 		questionItem.className = 'question-item';
 
-		// Create value display
-		const valueDiv = document.createElement('div');
-		valueDiv.className = 'question-value';
-		valueDiv.textContent = value;
-		questionItem.appendChild(valueDiv);
-
-		// Create question input (what's shown to players first)
-		const questionInput = document.createElement('input');
-		questionInput.type = 'text';
+		// Create value input (any positive whole number)
+		const valueInput = document.createElement('input');
+		valueInput.type = 'number';
+		valueInput.min = '1';
+		valueInput.step = '1';
+		valueInput.className = 'question-value required-field';
+		valueInput.title = 'Point value';
+		valueInput.value = value;
+		valueInput.required = true;
+		questionItem.appendChild(valueInput);
+
+		// Create question input (what's shown to players first); clues and responses may span lines
+		const questionInput = document.createElement('textarea');
+		questionInput.rows = 1;
 		questionInput.className = 'question-question required-field';
 		questionInput.placeholder = 'Clue (shown to players first)';
 		questionInput.setAttribute('data-value', value);
 		questionInput.required = true;
-		questionItem.appendChild(questionInput);
+		questionItem.appendChild(createImageField(questionInput, 'questions'));
 
 		// Create answer input (what's shown after clicking "Show Answer")
-		const answerInput = document.createElement('input');
-		answerInput.type = 'text';
+		const answerInput = document.createElement('textarea');
+		answerInput.rows = 1;
 		answerInput.className = 'question-answer required-field';
 		answerInput.placeholder = 'Correct Response (in question form)';
 		answerInput.setAttribute('data-value', value);
 		answerInput.required = true;
-		questionItem.appendChild(answerInput);
+		questionItem.appendChild(createImageField(answerInput, 'answers'));
+
+		// Optional host note (shown only in the host window during play)
+		const noteInput = document.createElement('input');
+		noteInput.type = 'text';
+		noteInput.className = 'question-note';
+		noteInput.placeholder = 'Host notes (optional, never shown to players)';
+		questionItem.appendChild(noteInput);
+
+		// Daily Double toggle for this clue
+		const dailyDoubleLabel = document.createElement('label');
+		dailyDoubleLabel.className = 'daily-double-toggle';
+		dailyDoubleLabel.title = 'Make this clue a Daily Double';
+		const dailyDoubleInput = document.createElement('input');
+		dailyDoubleInput.type = 'checkbox';
+		dailyDoubleInput.className = 'question-daily-double';
+		dailyDoubleInput.addEventListener('change', saveFormDraft);
+		dailyDoubleLabel.appendChild(dailyDoubleInput);
+		dailyDoubleLabel.appendChild(document.createTextNode('DD'));
+		questionItem.appendChild(dailyDoubleLabel);
 
 		questionsContainer.appendChild(questionItem);
 	});
@@ -1259,7 +4028,7 @@ function addCategory() {
 	// Assemble and add to form
 	categorySection.appendChild(categoryHeader);
 	categorySection.appendChild(questionsContainer);
-	categoriesContainer.appendChild(categorySection);
+	roundCategories.appendChild(categorySection);
 
 	// Add validation listeners to the new fields
 	categorySection.querySelectorAll('.required-field').forEach(field => {
@@ -1271,97 +4040,253 @@ function addCategory() {
 			field.classList.remove('has-content');
 			// Don't add validation-error on initial creation
 		}
-
-		// Add input listener to save draft on changes
-		field.addEventListener('input', function () {
-			// Save form state to draft
-			const formData = gatherFormData();
-			storage.save('jeopardyFormDraft', formData);
-		});
 	});
 }
 
 // No longer using addCategoryBtn
 
-// Function to create a game board from form data
-function createBoardFromForm(shouldDownload) {
-	const boardTitle = document.getElementById('board-title').value.trim();
+// --- Editor Images ---
+// Clue and response fields can take an uploaded image (button or drag-and-drop). It's saved with
+// the game's assets in IndexedDB under the path its <img>name marker points to, so it outlives
+// form drafts, replaces the image folders at play time and goes into bundles on Save.
+
+// Wrap a clue ('questions') or response ('answers') input with its attach button, thumbnail and remove button
+function createImageField(input, side) {
+	input.dataset.imageSide = side;
+
+	const field = document.createElement('div');
+	field.className = 'clue-field';
+	field.appendChild(input);
+
+	const attachLabel = document.createElement('label');
+	attachLabel.className = 'image-attach-button';
+	attachLabel.title = 'Attach an image (or drop one on the field)';
+	attachLabel.textContent = 'Image';
+	const fileInput = document.createElement('input');
+	fileInput.type = 'file';
+	fileInput.accept = 'image/*';
+	fileInput.hidden = true;
+	fileInput.addEventListener('change', function () {
+		attachImageFile(input, fileInput.files[0]);
+		fileInput.value = '';
+	});
+	attachLabel.appendChild(fileInput);
+	field.appendChild(attachLabel);
+
+	const thumb = document.createElement('img');
+	thumb.className = 'image-thumb';
+	thumb.alt = 'Attached image';
+	field.appendChild(thumb);
+
+	const removeBtn = document.createElement('button');
+	removeBtn.type = 'button';
+	removeBtn.className = 'image-remove';
+	removeBtn.title = 'Remove image';
+	removeBtn.textContent = '×';
+	removeBtn.addEventListener('click', () => removeImage(input));
+	field.appendChild(removeBtn);
+
+	field.addEventListener('dragover', function (e) {
+		e.preventDefault();
+		field.classList.add('drag-over');
+	});
+	field.addEventListener('dragleave', () => field.classList.remove('drag-over'));
+	field.addEventListener('drop', function (e) {
+		e.preventDefault();
+		field.classList.remove('drag-over');
+		if (e.dataTransfer.files.length > 0) attachImageFile(input, e.dataTransfer.files[0]);
+	});
+
+	input.addEventListener('input', () => updateImagePreview(input));
+	return field;
+}
+
+function getFormImageFolder() {
+	return document.getElementById('image-folder').value;
+}
+
+// Show the thumbnail and remove button while the field holds an <img> marker
+function updateImagePreview(input) {
+	const field = input.closest('.clue-field');
+	if (!field) return;
+
+	const path = getImagePath(input.value, input.dataset.imageSide, getFormImageFolder());
+	const thumb = field.querySelector('.image-thumb');
+	field.classList.toggle('has-image', Boolean(path));
+	if (path) {
+		thumb.src = getImageUrl(path, draftAssets);
+	} else {
+		thumb.removeAttribute('src');
+	}
+}
+
+// Store an uploaded image and point the field at it
+async function attachImageFile(input, file) {
+	if (!file || !file.type.startsWith('image/')) {
+		CustomDialog.alert('Please choose an image file.');
+		return;
+	}
+
+	const side = input.dataset.imageSide;
+	const url = await blobToDataUrl(file);
+	// Start from the stored images, in case another tab added some to this draft
+	if (activeDraftId) await loadDraftAssets(activeDraftId);
+	const baseName = file.name.replace(/\.[^.]*$/, '').trim().replace(/[^\w-]+/g, '-') || 'image';
+	const extension = (file.name.match(/\.([a-z0-9]+)$/i) || [])[1];
+	const suffix = extension && IMAGE_EXTENSIONS.includes(extension.toLowerCase()) ? `.${extension.toLowerCase()}` : '';
+	const pathFor = name => getImagePath(`<img>${name}${suffix}`, side, getFormImageFolder());
+
+	// Number the name if it's taken by a different picture, so other clues keep theirs
+	let name = baseName;
+	for (let n = 2; draftAssets[pathFor(name)] && draftAssets[pathFor(name)] !== url; n++) {
+		name = `${baseName}-${n}`;
+	}
+
+	await saveDraftAssets({ ...draftAssets, [pathFor(name)]: url });
+	input.value = `<img>${name}${suffix}`;
+	input.dispatchEvent(new Event('input', { bubbles: true })); // Saves the draft and updates the preview
+}
+
+// Clear the field, and forget its uploaded image unless another field or a saved version of the
+// draft (which could be restored) still uses it
+async function removeImage(input) {
+	const path = getImagePath(input.value, input.dataset.imageSide, getFormImageFolder());
+	input.value = '';
+	input.dispatchEvent(new Event('input', { bubbles: true }));
+
+	const draft = getActiveDraft();
+	const stillUsed = Array.from(document.querySelectorAll('[data-image-side]'))
+		.some(field => getImagePath(field.value, field.dataset.imageSide, getFormImageFolder()) === path) ||
+		Boolean(draft && draft.history.some(version => getBoardImagePaths(version.data).includes(path)));
+	if (activeDraftId) await loadDraftAssets(activeDraftId);
+	if (path && draftAssets[path] && !stillUsed) {
+		const assets = { ...draftAssets };
+		delete assets[path];
+		await saveDraftAssets(assets);
+	}
+}
+
+// Collect the form into board data for a complete game file.
+// Returns { board } when everything is filled in, otherwise { error, field } for the first problem.
+function collectBoardFromForm() {
+	const titleInput = document.getElementById('board-title');
+	const boardTitle = titleInput.value.trim();
 
 	// Validate board title
 	if (!boardTitle) {
-		CustomDialog.alert("Please enter a game title.");
-		document.getElementById('board-title').focus();
-		return null;
+		return { error: 'title', field: titleInput };
 	}
 
-	const categories = [];
-	const allQuestions = [];
+	const { columns, rows } = getFormDimensions();
+	const rounds = [];
 	let hasEmptyFields = false;
+	let hasMissingCategories = false;
 	let firstEmptyField = null;
 
-	// Check if we have exactly 5 categories
-	const categoryCount = document.querySelectorAll('.category-section').length;
-	if (categoryCount < 5) {
-		CustomDialog.alert("Please create all 5 categories for a complete game board.");
-		return null;
-	}
+	const markEmpty = (field) => {
+		hasEmptyFields = true;
+		if (!firstEmptyField) firstEmptyField = field;
+	};
 
-	// Collect all category data
-	document.querySelectorAll('.category-section').forEach((catSection, catIndex) => {
-		if (catIndex >= 5) return; // Only use first 5 categories
+	categoriesContainer.querySelectorAll('.round-section').forEach((roundSection) => {
+		const multiplierInput = roundSection.querySelector('.round-multiplier');
+		if (!isValidPointValue(multiplierInput.value)) markEmpty(multiplierInput);
+		const dailyDoublesInput = roundSection.querySelector('.round-daily-doubles');
+		if (!isOptionalWholeNumber(dailyDoublesInput.value)) markEmpty(dailyDoublesInput);
+		const timerInput = roundSection.querySelector('.round-timer');
+		if (!isOptionalWholeNumber(timerInput.value)) markEmpty(timerInput);
 
-		const categoryNameInput = catSection.querySelector('.category-name');
-		const categoryName = categoryNameInput.value.trim();
+		const categories = [];
+		roundSection.querySelectorAll('.category-section').forEach((catSection, catIndex) => {
+			if (catIndex >= columns) return; // Only use one category per column
 
-		// Validate category name
-		if (!categoryName) {
-			hasEmptyFields = true;
-			if (!firstEmptyField) firstEmptyField = categoryNameInput;
-			return;
-		}
+			const categoryNameInput = catSection.querySelector('.category-name');
+			const categoryName = categoryNameInput.value.trim();
+			if (!categoryName) markEmpty(categoryNameInput);
 
-		categories.push(categoryName);
+			const clues = [];
+			catSection.querySelectorAll('.question-item').forEach((qItem) => {
+				const valueInput = qItem.querySelector('.question-value');
+				const questionInput = qItem.querySelector('.question-question');
+				const answerInput = qItem.querySelector('.question-answer');
+				// Clues and responses are kept exactly as typed, line breaks and edge spaces included
+				const value = valueInput.value.trim();
+				const question = questionInput.value;
+				const answer = answerInput.value;
+
+				// Validate value, question and answer
+				if (!isValidPointValue(value)) markEmpty(valueInput);
+				if (!question.trim()) markEmpty(questionInput);
+				if (!answer.trim()) markEmpty(answerInput);
+
+				const dailyDouble = qItem.querySelector('.question-daily-double').checked;
+				const note = qItem.querySelector('.question-note').value.trim();
+				clues.push({ value: parseInt(value, 10), question, answer, dailyDouble, note });
+			});
+
+			// Make sure this category has a question for every row
+			if (clues.length < rows) hasMissingCategories = true;
+
+			categories.push({ name: categoryName, clues });
+		});
+
+		// Make sure this round has a category for every column
+		if (categories.length < columns) hasMissingCategories = true;
+
+		rounds.push({
+			name: roundSection.querySelector('.round-name').value.trim(),
+			multiplier: parseInt(multiplierInput.value, 10),
+			dailyDoubles: dailyDoublesInput.value.trim(),
+			timer: timerInput.value.trim(),
+			categories
+		});
+	});
+
+	const timerSecondsInput = document.getElementById('timer-seconds');
+	if (!isOptionalWholeNumber(timerSecondsInput.value)) markEmpty(timerSecondsInput);
+
+	// Final Jeopardy is optional, but needs all three fields once any is filled in
+	const finalInputs = FINAL_INPUT_IDS.map(id => document.getElementById(id));
+	const [finalCategory, finalQuestion, finalAnswer] = finalInputs.map(input => input.value);
+	const hasFinal = finalInputs.some(input => input.value.trim());
+	if (hasFinal) {
+		finalInputs.forEach(input => {
+			if (!input.value.trim()) markEmpty(input);
+		});
+	}
 
-		const categoryQuestions = [];
-		catSection.querySelectorAll('.question-item').forEach((qItem, qIndex) => {
-			const value = qItem.querySelector('.question-value').textContent;
-			const answerInput = qItem.querySelector('.question-answer');
-			const questionInput = qItem.querySelector('.question-question');
-			const answer = answerInput.value.trim();
-			const question = questionInput.value.trim();
+	if (rounds.length === 0 || hasMissingCategories) {
+		return { error: 'missing' };
+	}
 
-			// Validate answer and question
-			if (!answer) {
-				hasEmptyFields = true;
-				if (!firstEmptyField) firstEmptyField = answerInput;
-			}
+	if (hasEmptyFields) {
+		return { error: 'empty', field: firstEmptyField };
+	}
 
-			if (!question) {
-				hasEmptyFields = true;
-				if (!firstEmptyField) firstEmptyField = questionInput;
-			}
+	const final = hasFinal ? { category: finalCategory.trim(), question: finalQuestion, answer: finalAnswer } : null;
+	const timer = timerSecondsInput.value.trim();
+	const timeout = document.getElementById('timer-timeout').value;
+	const imageFolder = document.getElementById('image-folder').value.trim();
+	return { board: { title: boardTitle, columns, rows, imageFolder, timer, timeout, rounds, final } };
+}
 
-			// Only add to categoryQuestions if this specific item has both answer and question
-			// This is a defense in case the validation somehow continues despite empty fields
-			if (answer && question) {
-				categoryQuestions.push({
-					value: value,
-					answer: answer,
-					question: question
-				});
-			}
-		});
+// Function to create a game board from form data
+function createBoardFromForm(shouldDownload) {
+	const { board, error, field } = collectBoardFromForm();
 
-		// Make sure this category has all 5 questions complete
-		if (categoryQuestions.length < 5) {
-			hasEmptyFields = true;
-		}
+	if (error === 'title') {
+		CustomDialog.alert("Please enter a game title.");
+		field.focus();
+		return null;
+	}
 
-		allQuestions.push(categoryQuestions);
-	});
+	if (error === 'missing') {
+		CustomDialog.alert(`Please create all ${getFormDimensions().columns} categories in every round for a complete game board.`);
+		return null;
+	}
 
 	// Check for empty fields
-	if (hasEmptyFields) {
+	if (error === 'empty') {
 		const validationMessage = document.getElementById('validation-message');
 		validationMessage.textContent = "Please fill out all required fields";
 		validationMessage.style.display = 'block';
@@ -1377,8 +4302,11 @@ function createBoardFromForm(shouldDownload) {
 			}
 		});
 
-		// Focus on the first empty field
-		if (firstEmptyField) firstEmptyField.focus();
+		// Focus on the first empty or invalid field
+		if (field) {
+			field.classList.add('validation-error');
+			field.focus();
+		}
 		return null;
 	}
 
@@ -1388,34 +4316,25 @@ function createBoardFromForm(shouldDownload) {
 		field.classList.remove('validation-error');
 	});
 
-	// Check that we have exactly 5 categories and all questions
-	if (categories.length !== 5 || allQuestions.some(categoryQ => categoryQ.length !== 5)) {
-		CustomDialog.alert("Cannot create game board: Missing categories or questions");
-		return null;
-	}
-
 	// All validation passed, generate text representation of board
-	let boardText = `Title: ${boardTitle}\n\n`;
-
-	categories.forEach((category, catIndex) => {
-		boardText += `Category: ${category}\n`;
-
-		allQuestions[catIndex].forEach(q => {
-			boardText += `${q.value}|${q.question}|${q.answer}\n`;
-		});
-
-		boardText += '\n';
-	});
+	const boardTitle = board.title;
+	const boardText = serializeBoardText(board);
 
-	// Save board to localStorage
+	// Save board to localStorage, with the draft's images as the game's
+	saveGameAssets({ ...draftAssets });
 	saveTitle(boardTitle);
 	saveBoardText(boardText);
 
 	// Clear the form draft since we've successfully created a board
 	discardFormDraft();
 
-	// Create game board
+	// Create game board, starting fresh at the first round
+	resetFinalState();
 	populateJeopardyBoardFromText(boardText);
+	saveBoardState();
+	saveRound(0);
+	placeDailyDoubles();
+	resetScoreHistory();
 
 	// Hide form
 	document.getElementById('upload-controls').style.display = 'none';
@@ -1439,6 +4358,7 @@ function createBoardFromForm(shouldDownload) {
 			addTeam();
 		}
 	}
+	addGameToLibrary();
 	titleElem.style.display = 'block';
 
 	// Scroll to the top of the page
@@ -1486,6 +4406,63 @@ function validateFormBeforeSubmission() {
 		return false;
 	}
 
+	// Point values and round multipliers must be positive whole numbers
+	const invalidValueField = Array.from(document.querySelectorAll('.question-value, .round-multiplier'))
+		.find(field => !isValidPointValue(field.value));
+	if (invalidValueField) {
+		invalidValueField.classList.add('validation-error');
+		invalidValueField.classList.remove('has-content');
+
+		const validationMessage = document.getElementById('validation-message');
+		validationMessage.textContent = "Point values and round multipliers must be positive whole numbers";
+		validationMessage.style.display = 'block';
+
+		invalidValueField.focus();
+		return false;
+	}
+
+	// Daily Double counts and timer lengths are optional whole numbers
+	const invalidCountField = Array.from(document.querySelectorAll('.round-daily-doubles, .round-timer, #timer-seconds'))
+		.find(field => !isOptionalWholeNumber(field.value));
+	if (invalidCountField) {
+		invalidCountField.classList.add('validation-error');
+
+		const validationMessage = document.getElementById('validation-message');
+		validationMessage.textContent = "Daily Double counts and timer lengths must be whole numbers";
+		validationMessage.style.display = 'block';
+
+		invalidCountField.focus();
+		return false;
+	}
+
+	// <img>, <audio> and <video> markers need a file name (and Final Jeopardy can't play media)
+	const markerFields = Array.from(document.querySelectorAll('.question-question, .question-answer, #final-question, #final-answer'));
+	const invalidMarkerField = markerFields.find(field => getMarkerError(field.value, { final: field.id.startsWith('final-') }));
+	if (invalidMarkerField) {
+		invalidMarkerField.classList.add('validation-error');
+
+		const validationMessage = document.getElementById('validation-message');
+		validationMessage.textContent = getMarkerError(invalidMarkerField.value, { final: invalidMarkerField.id.startsWith('final-') });
+		validationMessage.style.display = 'block';
+
+		invalidMarkerField.focus();
+		return false;
+	}
+
+	// Final Jeopardy needs a category, clue and response once any of them is filled in
+	const finalInputs = FINAL_INPUT_IDS.map(id => document.getElementById(id));
+	if (isFinalPartiallyFilled({ category: finalInputs[0].value, question: finalInputs[1].value, answer: finalInputs[2].value })) {
+		const emptyFinalInputs = finalInputs.filter(input => !input.value.trim());
+		emptyFinalInputs.forEach(input => input.classList.add('validation-error'));
+
+		const validationMessage = document.getElementById('validation-message');
+		validationMessage.textContent = "Fill in the Final Jeopardy category, clue and response, or leave all three empty";
+		validationMessage.style.display = 'block';
+
+		emptyFinalInputs[0].focus();
+		return false;
+	}
+
 	return true;
 }
 
@@ -1521,158 +4498,457 @@ function showConfirmationModal() {
 }
 
 // Save form data as either a game file or draft file
-generateDownloadBtn.addEventListener('click', function () {
+generateDownloadBtn.addEventListener('click', async function () {
 	const boardTitle = document.getElementById('board-title').value.trim();
 	const formData = gatherFormData();
 	const isComplete = isFormComplete(formData);
 	const defaultName = boardTitle.replace(/\s+/g, '-').toLowerCase() || 'jeopardy';
+	let format = document.getElementById('save-format').value;
+
+	// Uploaded images only travel inside a bundle; a text or JSON file just names them
+	const uploaded = getBoardImagePaths(formData).filter(path => draftAssets[path]);
+	if (format !== 'bundle' && uploaded.length > 0) {
+		const choice = await CustomDialog.choose(
+			`This game uses ${uploaded.length} uploaded image(s), which a ${format === 'json' ? 'JSON' : 'text'} file only names, so they'd be missing when it's played:<br>` +
+			`${uploaded.map(escapeHtml).join('<br>')}<br><br>Save a bundle with the images inside instead?`,
+			'Uploaded Images',
+			[
+				{ text: 'Save Bundle', style: 'primary', value: 'bundle' },
+				{ text: 'Save Without Images', style: 'secondary', value: format },
+				{ text: 'Cancel', style: 'secondary', value: null }
+			]
+		);
+		if (!choice) return;
+		format = choice;
+	}
+
+	// Bundles are JSON files with the game's images inside
+	const isBundle = format === 'bundle';
+	const fileFormat = isBundle ? 'json' : format;
 
 	let content, filename;
 
 	if (isComplete && validateFormBeforeSubmission()) {
 		// Save as complete game file
-		content = createBoardTextFromForm();
-		filename = `${defaultName}.txt`;
+		content = createBoardTextFromForm(fileFormat);
+		filename = `${defaultName}.${fileFormat}`;
 	} else {
 		// Save as draft file
-		content = createDraftFromForm(formData);
-		filename = `${defaultName}-draft.txt`;
+		content = createDraftFromForm(formData, fileFormat);
+		filename = `${defaultName}-draft.${fileFormat}`;
+	}
+
+	if (content && isBundle) {
+		content = await addAssetsToBundle(content);
 	}
 
 	if (content) {
-		downloadBoardFile(content, filename);
+		downloadBoardFile(content, filename, fileFormat === 'json' ? 'application/json' : 'text/plain');
+		// Saving a file is a manual save too, so it adds a version to the draft's history
+		saveDraftVersion();
 	}
 });
 
-// Create board text without generating the visual board
-function createBoardTextFromForm() {
-	const boardTitle = document.getElementById('board-title').value.trim();
+// Add the images a JSON game or draft uses to it as "assets"; null if the host cancels
+async function addAssetsToBundle(content) {
+	const assets = await collectBundleAssets(parseBoardJson(content));
+	if (!assets) return null;
 
-	// Validate board title
-	if (!boardTitle) {
-		CustomDialog.alert("Please enter a game title.");
-		document.getElementById('board-title').focus();
-		return null;
+	const data = JSON.parse(content);
+	data.assets = assets;
+	return JSON.stringify(data, null, 2) + '\n';
+}
+
+// --- Spreadsheet Import/Export ---
+// Question writers work in spreadsheets: the editor imports CSV/TSV files or pasted cells with
+// category, value, clue and response columns (plus optional round, daily double and note), and
+// exports the form in the same layout. A header row maps columns by name in any order; without
+// one they're read as Category, Value, Clue, Response.
+const SPREADSHEET_COLUMNS = {
+	round: ['round'],
+	category: ['category'],
+	value: ['value', 'points', 'point value'],
+	clue: ['clue', 'question'],
+	response: ['response', 'answer', 'correct response'],
+	dailyDouble: ['daily double', 'dailydouble', 'dd'],
+	note: ['note', 'notes', 'host note', 'host notes']
+};
+const SPREADSHEET_COLUMN_LABELS = {
+	round: 'Round', category: 'Category', value: 'Value', clue: 'Clue',
+	response: 'Response', dailyDouble: 'Daily Double', note: 'Note'
+};
+const SPREADSHEET_DEFAULT_ORDER = ['category', 'value', 'clue', 'response'];
+
+// Tabs for pasted cells and .tsv files, otherwise whichever of , or ; the first line uses more
+function detectDelimiter(text) {
+	const firstLine = text.split(/\r?\n/, 1)[0];
+	if (firstLine.includes('\t')) return '\t';
+	return firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+}
+
+// Split CSV/TSV text into rows of cells; quoted cells may hold the delimiter, "" and line breaks
+function parseDelimitedText(text, delimiter) {
+	const rows = [];
+	let row = [];
+	let cell = '';
+	let quoted = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		if (quoted) {
+			if (char === '"' && text[i + 1] === '"') {
+				cell += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				cell += char;
+			}
+		} else if (char === '"' && cell === '') {
+			quoted = true;
+		} else if (char === delimiter) {
+			row.push(cell);
+			cell = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && text[i + 1] === '\n') i++;
+			row.push(cell);
+			rows.push(row);
+			row = [];
+			cell = '';
+		} else {
+			cell += char;
+		}
 	}
+	if (cell !== '' || row.length > 0) {
+		row.push(cell);
+		rows.push(row);
+	}
+	return rows;
+}
 
-	const categories = [];
-	const allQuestions = [];
-	let hasEmptyFields = false;
+// Column letter (A, B, ...) for reporting
+function getColumnLetter(index) {
+	return index < 26 ? String.fromCharCode(65 + index) : `column ${index + 1}`;
+}
 
-	// Check if we have exactly 5 categories
-	const categoryCount = document.querySelectorAll('.category-section').length;
-	if (categoryCount < 5) {
-		CustomDialog.alert("Please create all 5 categories for a complete game board.");
-		return null;
+// Map fields to column indexes from a header row, or by position when the first row isn't one
+function mapSpreadsheetColumns(firstRow) {
+	const mapping = {};
+	firstRow.forEach((cell, index) => {
+		const name = cell.trim().toLowerCase();
+		const field = Object.keys(SPREADSHEET_COLUMNS).find(key => SPREADSHEET_COLUMNS[key].includes(name));
+		if (field && mapping[field] === undefined) mapping[field] = index;
+	});
+
+	if (Object.keys(mapping).length >= 2) return { mapping, hasHeader: true };
+
+	const positional = {};
+	SPREADSHEET_DEFAULT_ORDER.forEach((field, index) => { positional[field] = index; });
+	return { mapping: positional, hasHeader: false };
+}
+
+// Build board data from spreadsheet rows, keeping the form's other settings. Rows that can't be
+// used are skipped and reported; returns { board, clueCount, categoryCount, mapping, hasHeader, problems }
+// or { error } when nothing can be imported.
+function buildBoardFromSpreadsheet(rows, formData) {
+	if (rows.length === 0) return { error: 'The spreadsheet is empty.' };
+
+	const { mapping, hasHeader } = mapSpreadsheetColumns(rows[0]);
+	const missingColumn = ['category', 'clue', 'response'].find(field => mapping[field] === undefined);
+	if (missingColumn) {
+		return { error: `The header row has no ${SPREADSHEET_COLUMN_LABELS[missingColumn]} column.` };
 	}
 
-	// Collect all category data
-	document.querySelectorAll('.category-section').forEach((catSection, catIndex) => {
-		if (catIndex >= 5) return; // Only use first 5 categories
+	const problems = [];
+	const rounds = [];
+	let clueCount = 0;
+	const firstRowNumber = hasHeader ? 2 : 1;
 
-		const categoryNameInput = catSection.querySelector('.category-name');
-		const categoryName = categoryNameInput.value.trim();
+	(hasHeader ? rows.slice(1) : rows).forEach((cells, i) => {
+		const rowNumber = i + firstRowNumber;
+		const get = field => mapping[field] === undefined ? '' : (cells[mapping[field]] || '').trim();
+		if (cells.every(cell => !cell.trim())) return; // Blank line
 
-		// Validate category name
+		const categoryName = get('category');
+		const value = get('value');
 		if (!categoryName) {
-			hasEmptyFields = true;
+			problems.push(`Row ${rowNumber}: no category`);
+			return;
+		}
+		if (value && !isValidPointValue(value)) {
+			problems.push(`Row ${rowNumber}: value "${value}" isn't a positive whole number`);
+			return;
+		}
+		if (!get('clue') && !get('response')) {
+			problems.push(`Row ${rowNumber}: no clue or response`);
 			return;
 		}
 
-		categories.push(categoryName);
-
-		const categoryQuestions = [];
-		catSection.querySelectorAll('.question-item').forEach((qItem, qIndex) => {
-			const value = qItem.querySelector('.question-value').textContent;
-			const answerInput = qItem.querySelector('.question-answer');
-			const questionInput = qItem.querySelector('.question-question');
-			const answer = answerInput.value.trim();
-			const question = questionInput.value.trim();
+		const roundName = get('round');
+		let round = rounds.find(existing => existing.name === roundName);
+		if (!round) {
+			round = { name: roundName, categories: [] };
+			rounds.push(round);
+		}
 
-			// Validate answer and question
-			if (!answer || !question) {
-				hasEmptyFields = true;
+		let category = round.categories.find(existing => existing.name === categoryName);
+		if (!category) {
+			if (round.categories.length >= MAX_COLUMNS) {
+				problems.push(`Row ${rowNumber}: "${categoryName}" would be more than ${MAX_COLUMNS} categories in a round`);
 				return;
 			}
+			category = { name: categoryName, clues: [] };
+			round.categories.push(category);
+		}
+		if (category.clues.length >= MAX_ROWS) {
+			problems.push(`Row ${rowNumber}: "${categoryName}" already has ${MAX_ROWS} clues`);
+			return;
+		}
 
-			categoryQuestions.push({
-				value: value,
-				answer: answer,
-				question: question
-			});
+		category.clues.push({
+			value,
+			question: get('clue'),
+			answer: get('response'),
+			note: get('note'),
+			dailyDouble: /^(y|yes|true|x|1|dd)$/i.test(get('dailyDouble'))
 		});
+		clueCount++;
+	});
 
-		// Make sure this category has all 5 questions complete
-		if (categoryQuestions.length < 5) {
-			hasEmptyFields = true;
-		}
+	if (clueCount === 0) {
+		return { error: `No clues could be imported.${problems.length ? '<br><br>' + problems.map(escapeHtml).join('<br>') : ''}` };
+	}
 
-		allQuestions.push(categoryQuestions);
-	});
+	// Rounds keep the form's multiplier, Daily Double and timer settings by position
+	const allCategories = rounds.flatMap(round => round.categories);
+	const board = {
+		...formData,
+		columns: Math.max(...rounds.map(round => round.categories.length)),
+		rows: Math.max(...allCategories.map(category => category.clues.length)),
+		rounds: rounds.map((round, index) => {
+			const existing = formData.rounds[index] || {};
+			return {
+				name: round.name || existing.name || '',
+				multiplier: existing.multiplier || '1',
+				dailyDoubles: existing.dailyDoubles || '',
+				timer: existing.timer || '',
+				categories: round.categories
+			};
+		})
+	};
 
-	// Check for empty fields
-	if (hasEmptyFields) {
-		CustomDialog.alert("Cannot create complete game file: Some fields are empty. Use the form validation to see which fields need to be filled.");
-		return null;
+	return { board, clueCount, categoryCount: allCategories.length, mapping, hasHeader, problems };
+}
+
+// Replace the form's categories and clues with a spreadsheet's, then report the column mapping
+// and any rows that were skipped
+async function importSpreadsheetText(text, delimiter = detectDelimiter(text)) {
+	const formData = gatherFormData();
+	const result = buildBoardFromSpreadsheet(parseDelimitedText(text, delimiter), formData);
+	if (result.error) {
+		CustomDialog.error(result.error, 'Import Failed');
+		return false;
 	}
 
-	// Check that we have exactly 5 categories and all questions
-	if (categories.length !== 5 || allQuestions.some(categoryQ => categoryQ.length !== 5)) {
-		CustomDialog.alert("Cannot create game board: Missing categories or questions");
-		return null;
+	const hasContent = formData.rounds.some(round => round.categories.some(category =>
+		category.name || category.clues.some(clue => clue.question || clue.answer)));
+	if (hasContent && !(await CustomDialog.confirm('Replace the categories and clues in the form with the spreadsheet\'s?', 'Import Spreadsheet'))) {
+		return false;
 	}
 
-	// All validation passed, generate text representation of board
-	let boardText = `Title: ${boardTitle}\n\n`;
+	fillFormFromBoardData(result.board);
+	saveFormDraft();
 
-	categories.forEach((category, catIndex) => {
-		boardText += `Category: ${category}\n`;
+	const columns = Object.keys(result.mapping)
+		.sort((a, b) => result.mapping[a] - result.mapping[b])
+		.map(field => `${SPREADSHEET_COLUMN_LABELS[field]} (${getColumnLetter(result.mapping[field])})`);
+	let message = `Imported ${result.clueCount} clue(s) in ${result.categoryCount} categor${result.categoryCount === 1 ? 'y' : 'ies'}.`;
+	message += `<br><br>${result.hasHeader ? 'Columns' : 'No header row, so columns were read as'}: ${columns.join(', ')}`;
 
-		allQuestions[catIndex].forEach(q => {
-			boardText += `${q.value}|${q.question}|${q.answer}\n`;
-		});
+	if (result.problems.length > 0) {
+		message += `<br><br>${result.problems.length} row(s) skipped:<br>${result.problems.map(escapeHtml).join('<br>')}`;
+		CustomDialog.alert(message, 'Import Finished With Problems');
+	} else {
+		CustomDialog.success(message, 'Import Finished');
+	}
+	return true;
+}
+
+// One CSV cell, quoted when it holds a comma, quote or line break
+function toCsvCell(value) {
+	const text = value === undefined || value === null ? '' : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-		boardText += '\n';
+// CSV of the form (from gatherFormData), one row per clue
+function createSpreadsheetFromForm(formData) {
+	const fields = ['round', 'category', 'value', 'clue', 'response', 'dailyDouble', 'note'];
+	const rows = [fields.map(field => SPREADSHEET_COLUMN_LABELS[field])];
+
+	formData.rounds.forEach((round, roundIndex) => {
+		// Unnamed rounds get their default names so they stay apart when imported again
+		const roundName = formData.rounds.length > 1 ? getRoundName(round, roundIndex) : round.name;
+		round.categories.forEach(category => category.clues.forEach(clue => {
+			rows.push([roundName, category.name, clue.value, clue.question, clue.answer, clue.dailyDouble ? 'yes' : '', clue.note]);
+		}));
 	});
 
-	return boardText;
+	return rows.map(row => row.map(toCsvCell).join(',')).join('\n') + '\n';
+}
+
+document.getElementById('spreadsheet-import').addEventListener('click', function () {
+	document.getElementById('spreadsheet-upload').click();
+});
+
+document.getElementById('spreadsheet-upload').addEventListener('change', function (e) {
+	const file = e.target.files[0];
+	if (!file) return;
+
+	const reader = new FileReader();
+	reader.onload = function (evt) {
+		const text = evt.target.result;
+		importSpreadsheetText(text, /\.tsv$/i.test(file.name) ? '\t' : detectDelimiter(text));
+	};
+	reader.readAsText(file);
+	e.target.value = '';
+});
+
+// Pasted spreadsheet cells arrive tab-separated
+document.getElementById('spreadsheet-paste').addEventListener('click', function () {
+	document.getElementById('spreadsheet-text').value = '';
+	document.getElementById('spreadsheet-modal').style.display = 'flex';
+	document.getElementById('spreadsheet-text').focus();
+});
+
+document.getElementById('spreadsheet-paste-import').addEventListener('click', async function () {
+	const text = document.getElementById('spreadsheet-text').value;
+	if (!text.trim()) return;
+	document.getElementById('spreadsheet-modal').style.display = 'none';
+	await importSpreadsheetText(text);
+});
+
+document.getElementById('spreadsheet-paste-cancel').addEventListener('click', function () {
+	document.getElementById('spreadsheet-modal').style.display = 'none';
+});
+
+document.getElementById('spreadsheet-export').addEventListener('click', function () {
+	const formData = gatherFormData();
+	const defaultName = formData.title.replace(/\s+/g, '-').toLowerCase() || 'jeopardy';
+	downloadBoardFile(createSpreadsheetFromForm(formData), `${defaultName}.csv`, 'text/csv');
+});
+
+// Editor: try loading every image and media file the form refers to and report what's missing
+document.getElementById('check-media').addEventListener('click', async function () {
+	const button = this;
+	button.disabled = true;
+	button.textContent = 'Checking…';
+
+	try {
+		const { total, missing } = await findMissingMedia(gatherFormData());
+		if (total === 0) {
+			CustomDialog.alert("This game doesn't use any images, audio or video.", 'Media Check');
+		} else if (missing.length === 0) {
+			CustomDialog.success(`All ${total} image and media reference(s) loaded.`, 'Media Check');
+		} else {
+			CustomDialog.alert(`${missing.length} of ${total} image or media reference(s) couldn't be loaded:${formatMissingMedia(missing)}`, 'Missing Media');
+		}
+	} finally {
+		button.disabled = false;
+		button.textContent = 'Check Media';
+	}
+});
+
+// Create board text (or JSON, with format 'json') without generating the visual board
+function createBoardTextFromForm(format = 'txt') {
+	const { board, error, field } = collectBoardFromForm();
+
+	if (error === 'title') {
+		CustomDialog.alert("Please enter a game title.");
+		field.focus();
+		return null;
+	}
+
+	if (error === 'missing') {
+		CustomDialog.alert(`Please create all ${getFormDimensions().columns} categories in every round for a complete game board.`);
+		return null;
+	}
+
+	// Check for empty fields
+	if (error === 'empty') {
+		CustomDialog.alert("Cannot create complete game file: Some fields are empty. Use the form validation to see which fields need to be filled.");
+		return null;
+	}
+
+	// All validation passed, generate text representation of board
+	return format === 'json' ? serializeBoardJson(board) : serializeBoardText(board);
 }
 
 // Helper function to gather all form data
 function gatherFormData() {
 	const boardTitle = document.getElementById('board-title').value.trim();
-	const categories = [];
+	const rounds = [];
+
+	document.querySelectorAll('.round-section').forEach((roundSection) => {
+		const categories = [];
 
-	document.querySelectorAll('.category-section').forEach((catSection, catIndex) => {
-		const categoryNameInput = catSection.querySelector('.category-name');
-		const categoryName = categoryNameInput ? categoryNameInput.value.trim() : '';
-		const clues = [];
+		roundSection.querySelectorAll('.category-section').forEach((catSection) => {
+			const categoryNameInput = catSection.querySelector('.category-name');
+			const categoryName = categoryNameInput ? categoryNameInput.value.trim() : '';
+			const clues = [];
+
+			catSection.querySelectorAll('.question-item').forEach((qItem) => {
+				const valueElement = qItem.querySelector('.question-value');
+				const answerInput = qItem.querySelector('.question-answer');
+				const questionInput = qItem.querySelector('.question-question');
+				const dailyDoubleInput = qItem.querySelector('.question-daily-double');
+				const noteInput = qItem.querySelector('.question-note');
 
-		catSection.querySelectorAll('.question-item').forEach((qItem) => {
-			const valueElement = qItem.querySelector('.question-value');
-			const answerInput = qItem.querySelector('.question-answer');
-			const questionInput = qItem.querySelector('.question-question');
+				const value = valueElement ? valueElement.value.trim() : '';
+				const answer = answerInput ? answerInput.value : '';
+				const question = questionInput ? questionInput.value : '';
 
-			const value = valueElement ? valueElement.textContent : '';
-			const answer = answerInput ? answerInput.value : '';
-			const question = questionInput ? questionInput.value : '';
+				clues.push({
+					value,
+					answer,
+					question,
+					dailyDouble: dailyDoubleInput ? dailyDoubleInput.checked : false,
+					note: noteInput ? noteInput.value.trim() : ''
+				});
+			});
 
-			clues.push({
-				value,
-				answer,
-				question
+			categories.push({
+				name: categoryName,
+				clues: clues
 			});
 		});
 
-		categories.push({
-			name: categoryName,
-			clues: clues
+		const nameInput = roundSection.querySelector('.round-name');
+		const multiplierInput = roundSection.querySelector('.round-multiplier');
+		const dailyDoublesInput = roundSection.querySelector('.round-daily-doubles');
+		const timerInput = roundSection.querySelector('.round-timer');
+		rounds.push({
+			name: nameInput ? nameInput.value.trim() : '',
+			multiplier: multiplierInput ? multiplierInput.value.trim() : '1',
+			dailyDoubles: dailyDoublesInput ? dailyDoublesInput.value.trim() : '',
+			timer: timerInput ? timerInput.value.trim() : '',
+			categories
 		});
 	});
 
+	const { columns, rows } = getFormDimensions();
 	return {
 		title: boardTitle,
-		categories: categories,
+		columns,
+		rows,
+		imageFolder: document.getElementById('image-folder').value.trim(),
+		timer: document.getElementById('timer-seconds').value.trim(),
+		timeout: document.getElementById('timer-timeout').value,
+		rounds,
+		final: {
+			category: document.getElementById('final-category').value.trim(),
+			question: document.getElementById('final-question').value,
+			answer: document.getElementById('final-answer').value
+		},
 		teams: formTeams || []
 	};
 }
@@ -1682,46 +4958,142 @@ function isFormComplete(formData) {
 	// Check if title exists
 	if (!formData.title) return false;
 
-	// Check if we have 5 categories
-	if (formData.categories.length < 5) return false;
+	if (!isOptionalWholeNumber(formData.timer)) return false;
+
+	for (let round of formData.rounds) {
+		if (!isValidPointValue(round.multiplier) || !isOptionalWholeNumber(round.dailyDoubles) ||
+			!isOptionalWholeNumber(round.timer)) return false;
 
-	// Check if all categories have names and 5 complete questions
-	for (let category of formData.categories) {
-		if (!category.name) return false;
+		// Check if we have a category for every column
+		if (round.categories.length < formData.columns) return false;
 
-		if (category.clues.length < 5) return false;
+		// Check if all categories have names and a complete question for every row
+		for (let category of round.categories) {
+			if (!category.name) return false;
 
-		for (let clue of category.clues) {
-			if (!clue.answer || !clue.question) return false;
+			if (category.clues.length < formData.rows) return false;
+
+			for (let clue of category.clues) {
+				if (!clue.answer || !clue.question || !isValidPointValue(clue.value)) return false;
+			}
 		}
 	}
 
-	return true;
+	// Final Jeopardy is optional, but must be complete when started
+	if (isFinalPartiallyFilled(formData.final)) return false;
+
+	return formData.rounds.length > 0;
+}
+
+// True when some, but not all, of the Final Jeopardy fields have been filled in
+function isFinalPartiallyFilled(final) {
+	if (!final) return false;
+	const filled = [final.category, final.question, final.answer].filter(value => value && value.trim());
+	return filled.length > 0 && filled.length < 3;
 }
 
-// Helper function to create draft file content
-function createDraftFromForm(formData) {
+// Helper function to create draft file content (text, or JSON with format 'json')
+function createDraftFromForm(formData, format = 'txt') {
+	if (format === 'json') return serializeBoardJson(formData, { draft: true });
+
 	let draftContent = `[JEOPARDY DRAFT]\n`;
-	draftContent += `Title: ${formData.title}\n`;
+	draftContent += `Title: ${escapeText(formData.title)}\n`;
 	draftContent += `Created: ${new Date().toISOString()}\n`;
-	draftContent += `Teams: ${formData.teams.map(t => t.name).join(', ')}\n\n`;
+	draftContent += `Teams: ${formData.teams.map(t => escapeText(t.name).replace(/,/g, '\\,')).join(', ')}\n`;
+	draftContent += `Columns: ${formData.columns}\n`;
+	draftContent += `Rows: ${formData.rows}\n`;
+	draftContent += serializeGameSettings(formData) + '\n';
+
+	// Add rounds, categories, clues and Final Jeopardy
+	draftContent += serializeRounds(formData.rounds);
+	draftContent += serializeFinal(formData.final);
+
+	return draftContent;
+}
+
+// Build game file text: title, board size, image folder and timer headers followed by the rounds and Final Jeopardy
+function serializeBoardText(board) {
+	let boardText = `Title: ${escapeText(board.title)}\n`;
+	boardText += `Columns: ${board.columns}\n`;
+	boardText += `Rows: ${board.rows}\n`;
+	boardText += serializeGameSettings(board) + '\n';
+	return boardText + serializeRounds(board.rounds) + serializeFinal(board.final);
+}
+
+// Write the game's Images:/Timer:/Timeout: headers, if set
+function serializeGameSettings(board) {
+	let text = '';
+	if (board.imageFolder) {
+		text += `Images: ${escapeText(board.imageFolder)}\n`;
+	}
+	if (board.timer !== undefined && String(board.timer).trim() !== '') {
+		text += `Timer: ${board.timer}\n`;
+	}
+	if (board.timeout) {
+		text += `Timeout: ${board.timeout}\n`;
+	}
+	return text;
+}
 
-	// Add categories and clues
-	formData.categories.forEach((category) => {
-		draftContent += `Category: ${category.name}\n`;
+// Write the Final: section, if any part of Final Jeopardy has been filled in
+function serializeFinal(final) {
+	if (!final || !(final.category || final.question || final.answer)) return '';
+	return `Final: ${escapeText(final.category)}\n${escapeLineStart(final.question)}|${escapeText(final.answer)}\n`;
+}
+
+// Write each round's Round:/Multiplier:/Timer:/Daily Doubles: headers and categories.
+// A lone unnamed round at ×1 is written without headers, like a classic single-board file.
+function serializeRounds(rounds) {
+	const hasValue = value => value !== undefined && String(value).trim() !== '';
+	const needsHeaders = rounds.length > 1 ||
+		rounds.some(round => round.name || String(round.multiplier) !== '1' || hasValue(round.timer));
+
+	let text = '';
+	rounds.forEach((round) => {
+		const hasDailyDoubles = hasValue(round.dailyDoubles);
+		if (needsHeaders) {
+			// Unnamed rounds stay unnamed; getRoundName only fills in a default for display
+			text += round.name ? `Round: ${escapeText(round.name)}\n` : 'Round:\n';
+			if (String(round.multiplier) !== '1') {
+				text += `Multiplier: ${round.multiplier}\n`;
+			}
+			if (hasValue(round.timer)) {
+				text += `Timer: ${round.timer}\n`;
+			}
+		}
+		if (hasDailyDoubles) {
+			text += `Daily Doubles: ${round.dailyDoubles}\n`;
+		}
+		if (needsHeaders || hasDailyDoubles) {
+			text += '\n';
+		}
+		text += serializeCategories(round.categories);
+	});
+	return text;
+}
+
+// Write each category header followed by its POINTS|CLUE|RESPONSE lines (POINTS DD for Daily Doubles)
+// and any Note: lines for the host, with their text escaped (see Text Escaping)
+function serializeCategories(categories) {
+	let text = '';
+	categories.forEach((category) => {
+		text += `Category: ${escapeText(category.name)}\n`;
 		category.clues.forEach(clue => {
-			draftContent += `${clue.value}|${clue.question}|${clue.answer}\n`;
+			const points = clue.dailyDouble ? `${clue.value} DD` : clue.value;
+			text += `${points}|${escapeText(clue.question)}|${escapeText(clue.answer)}\n`;
+			if (clue.note) {
+				text += `Note: ${escapeText(clue.note)}\n`;
+			}
 		});
-		draftContent += '\n';
+		text += '\n';
 	});
-
-	return draftContent;
+	return text;
 }
 
-// Download generated board as a text file
-function downloadBoardFile(content, filename) {
+// Download generated board as a text (or JSON) file
+function downloadBoardFile(content, filename, type = 'text/plain') {
 	const element = document.createElement('a');
-	element.setAttribute('href', 'data:text/plain;charset=utf-8,' + encodeURIComponent(content));
+	element.setAttribute('href', `data:${type};charset=utf-8,` + encodeURIComponent(content));
 	element.setAttribute('download', filename);
 	element.style.display = 'none';
 	document.body.appendChild(element);
@@ -1778,6 +5150,207 @@ function addValidationListeners() {
 	});
 }
 
+// --- Print View ---
+// A paper copy of a board, from the game being played or from the editor's form: the host's
+// answer key (every clue, response and note), an audience-safe board (categories and values
+// only) or clue cards to cut out and fold (clue in front, response behind). Each round prints in
+// turn. #print-view is only shown by the print stylesheet and is emptied after printing.
+const PRINT_LAYOUTS = { key: 'Host Answer Key', board: 'Audience Board', cards: 'Clue Cards' };
+
+// A clue or response as printed: an image thumbnail, a note naming the sound or video, or its text
+function createPrintContent(string, side, imageFolder, assets) {
+	const element = document.createElement('div');
+	element.className = 'print-content';
+	const path = getImagePath(string, side, imageFolder);
+	const media = getMediaInfo(string, '');
+	if (path) {
+		const img = document.createElement('img');
+		img.className = 'print-thumb';
+		img.src = getImageUrl(path, assets);
+		img.alt = path;
+		element.appendChild(img);
+	} else if (media) {
+		element.textContent = `[${media.kind === 'audio' ? 'Audio' : 'Video'}: ${media.path}]`;
+	} else {
+		element.innerHTML = string || '';
+	}
+	return element;
+}
+
+// The value a clue is played for, scaled by its round's multiplier, with DD for Daily Doubles
+function getPrintValue(clue, round) {
+	const multiplier = parseInt(round.multiplier, 10) || 1;
+	const value = isValidPointValue(clue.value) ? parseInt(clue.value, 10) * multiplier : clue.value;
+	return clue.dailyDouble ? `${value} DD` : String(value);
+}
+
+function buildPrintView(board, layout, assets) {
+	const view = document.getElementById('print-view');
+	view.innerHTML = '';
+	view.className = `print-${layout}`;
+
+	const heading = document.createElement('h1');
+	heading.textContent = board.title ? `${board.title} — ${PRINT_LAYOUTS[layout]}` : PRINT_LAYOUTS[layout];
+	view.appendChild(heading);
+
+	const rounds = getBoardRounds(board);
+	rounds.forEach((round, roundIndex) => {
+		const section = document.createElement('section');
+		section.className = 'print-round';
+		if (rounds.length > 1) {
+			const roundHeading = document.createElement('h2');
+			roundHeading.textContent = getRoundName(round, roundIndex);
+			section.appendChild(roundHeading);
+		}
+
+		const categories = round.categories.slice(0, board.columns);
+		if (layout === 'board') {
+			section.appendChild(createPrintBoard(categories, round, board.rows));
+		} else {
+			categories.forEach(category => {
+				const clues = category.clues.slice(0, board.rows);
+				section.appendChild(layout === 'key'
+					? createPrintKeyCategory(category, clues, round, board.imageFolder, assets)
+					: createPrintCards(category, clues, round, board.imageFolder, assets));
+			});
+		}
+		view.appendChild(section);
+	});
+
+	const final = board.final;
+	if (final && (final.category || final.question || final.answer)) {
+		const section = document.createElement('section');
+		section.className = 'print-round print-final';
+		const finalHeading = document.createElement('h2');
+		finalHeading.textContent = `Final Jeopardy: ${final.category}`;
+		section.appendChild(finalHeading);
+		if (layout === 'key') {
+			section.appendChild(createPrintKeyCategory({ name: final.category }, [{ value: '', question: final.question, answer: final.answer }], {}, board.imageFolder, assets));
+		} else if (layout === 'cards') {
+			section.appendChild(createPrintCards({ name: `Final: ${final.category}` }, [{ value: '', question: final.question, answer: final.answer }], {}, board.imageFolder, assets));
+		}
+		view.appendChild(section);
+	}
+	return view;
+}
+
+// Host key: one table per category listing each value, clue, response and note
+function createPrintKeyCategory(category, clues, round, imageFolder, assets) {
+	const table = document.createElement('table');
+	table.className = 'print-key';
+	table.innerHTML = '<caption></caption><thead><tr><th>Value</th><th>Clue</th><th>Response</th><th>Host Notes</th></tr></thead><tbody></tbody>';
+	table.querySelector('caption').textContent = category.name;
+
+	const body = table.querySelector('tbody');
+	clues.forEach(clue => {
+		const row = document.createElement('tr');
+		const cells = [
+			document.createTextNode(clue.value === '' ? '' : getPrintValue(clue, round)),
+			createPrintContent(clue.question, 'questions', imageFolder, assets),
+			createPrintContent(clue.answer, 'answers', imageFolder, assets),
+			document.createTextNode(clue.note || '')
+		];
+		cells.forEach(content => {
+			const cell = document.createElement('td');
+			cell.appendChild(content);
+			row.appendChild(cell);
+		});
+		body.appendChild(row);
+	});
+	return table;
+}
+
+// Audience board: the category names over a grid of values, with nothing given away
+function createPrintBoard(categories, round, rows) {
+	const table = document.createElement('table');
+	table.className = 'print-board';
+	const headerRow = table.createTHead().insertRow();
+	categories.forEach(category => {
+		const th = document.createElement('th');
+		th.textContent = category.name;
+		headerRow.appendChild(th);
+	});
+
+	const body = table.createTBody();
+	for (let row = 0; row < rows; row++) {
+		const tr = body.insertRow();
+		categories.forEach(category => {
+			const clue = category.clues[row];
+			tr.insertCell().textContent = clue ? getPrintValue({ ...clue, dailyDouble: false }, round) : '';
+		});
+	}
+	return table;
+}
+
+// Clue cards: category and value over the clue, then the response upside down below the fold
+// (with the Daily Double mark, so it isn't given away)
+function createPrintCards(category, clues, round, imageFolder, assets) {
+	const cards = document.createElement('div');
+	cards.className = 'print-cards';
+	clues.forEach(clue => {
+		const card = document.createElement('div');
+		card.className = 'print-card';
+
+		const label = document.createElement('div');
+		label.className = 'print-card-label';
+		label.textContent = [category.name, clue.value === '' ? '' : getPrintValue({ ...clue, dailyDouble: false }, round)].filter(Boolean).join(' · ');
+
+		const front = document.createElement('div');
+		front.className = 'print-card-front';
+		front.append(label, createPrintContent(clue.question, 'questions', imageFolder, assets));
+
+		const back = document.createElement('div');
+		back.className = 'print-card-back';
+		if (clue.dailyDouble) {
+			const dailyDouble = document.createElement('div');
+			dailyDouble.className = 'print-card-label';
+			dailyDouble.textContent = 'Daily Double';
+			back.appendChild(dailyDouble);
+		}
+		back.appendChild(createPrintContent(clue.answer, 'answers', imageFolder, assets));
+
+		card.append(front, back);
+		cards.appendChild(card);
+	});
+	return cards;
+}
+
+// Let thumbnails finish loading (or fail) so they make it onto the page
+function waitForPrintImages(view) {
+	const pending = Array.from(view.querySelectorAll('img')).filter(img => !img.complete);
+	return Promise.all(pending.map(img => new Promise(resolve => {
+		img.addEventListener('load', resolve, { once: true });
+		img.addEventListener('error', resolve, { once: true });
+		setTimeout(resolve, MEDIA_CHECK_TIMEOUT_MS);
+	})));
+}
+
+// Ask which layout to print, then print it (with the game's images, or the draft's from the editor)
+async function printBoard(board, assets = gameAssets) {
+	const layout = await CustomDialog.choose('Choose what to print. Every round is included.', 'Print', [
+		...Object.entries(PRINT_LAYOUTS).map(([value, text]) => ({ text, style: 'primary', value })),
+		{ text: 'Cancel', style: 'secondary', value: null }
+	]);
+	if (!layout) return;
+
+	await waitForPrintImages(buildPrintView(board, layout, assets));
+	window.print();
+}
+
+window.addEventListener('afterprint', function () {
+	const view = document.getElementById('print-view');
+	view.innerHTML = '';
+	view.className = '';
+});
+
+document.getElementById('print-board').addEventListener('click', function () {
+	if (currentBoard) printBoard(currentBoard);
+});
+
+document.getElementById('print-form').addEventListener('click', function () {
+	printBoard(gatherFormData(), draftAssets);
+});
+
 // --- Team Management in Create Form ---
 const formTeamsContainer = document.getElementById('form-teams-container');
 const formAddTeamBtn = document.getElementById('form-add-team');
@@ -1841,84 +5414,117 @@ if (formTeamsContainer) {
 }
 
 // --- Form Draft Functionality ---
-// Save the current state of the form to localStorage
-function saveFormDraft() {
-	try {
-		const boardTitle = document.getElementById('board-title');
-		const formData = {
-			title: boardTitle ? boardTitle.value : '',
-			categories: [],
-			teams: formTeams || [],
-			lastModified: new Date().toISOString()
-		};
+// Every draft is kept in the drafts list (see Named Drafts below). The form autosaves into its
+// draft a moment after each change, and Save Draft saves at once, adding a version to its history.
+const AUTOSAVE_DELAY_MS = 1000;
+
+// This tab's draft: its id (null until first saved), and the revision and content it was last
+// saved or loaded at, which tell another tab's save of the same draft apart from this tab's
+let activeDraftId = null;
+let draftBase = null;
+let autosaveTimer = null;
+let draftConflictOpen = false;
+// Why the form's latest changes aren't saved, while they aren't ('' once they are)
+let draftSaveError = '';
+
+// Save the current state of the form into its draft, returning the draft; null when there's
+// nothing worth keeping yet or another tab's save of the draft has to be settled first
+function saveFormDraft({ snapshot = false, force = snapshot } = {}) {
+	cancelAutosave();
+	if (draftConflictOpen) return null;
 
+	try {
 		// Verify categories container exists
 		if (!categoriesContainer) {
 			console.error('Categories container not found, cannot save draft');
-			return false;
+			return null;
 		}
 
-		// Gather all category data
-		document.querySelectorAll('.category-section').forEach((catSection) => {
-			const categoryNameInput = catSection.querySelector('.category-name');
-			const categoryName = categoryNameInput ? categoryNameInput.value : '';
-			const clues = [];
-
-			// Gather all questions for this category
-			catSection.querySelectorAll('.question-item').forEach((qItem) => {
-				const valueElement = qItem.querySelector('.question-value');
-				const answerInput = qItem.querySelector('.question-answer');
-				const questionInput = qItem.querySelector('.question-question');
-
-				const value = valueElement ? valueElement.textContent : '';
-				const answer = answerInput ? answerInput.value : '';
-				const question = questionInput ? questionInput.value : '';
-
-				clues.push({
-					value,
-					answer,
-					question
-				});
-			});
-
-			formData.categories.push({
-				name: categoryName,
-				clues: clues
-			});
-		});
+		const formData = {
+			...gatherFormData(),
+			lastModified: new Date().toISOString()
+		};
 
 		// Make sure we have the right number of categories
-		if (formData.categories.length === 0) {
+		if (formData.rounds.every(round => round.categories.length === 0)) {
 			console.warn('No categories found when saving draft');
 		}
 
-		// Save to localStorage
-		storage.save('jeopardyFormDraft', formData);
+		const drafts = loadDrafts();
+		const stored = drafts[activeDraftId];
+		if (stored && draftBase && (stored.revision || 0) !== draftBase.revision) {
+			handleDraftConflict();
+			return null;
+		}
+
+		// Untouched forms only become drafts when saved or named by hand
+		if (!stored && !force && !hasDraftContent(formData)) {
+			updateLastSavedDisplay();
+			return null;
+		}
+
+		if (!activeDraftId) {
+			activeDraftId = createGameId();
+			if (Object.keys(draftAssets).length > 0) saveDraftAssets(draftAssets);
+		}
+		const draft = stored || { id: activeDraftId, name: '', history: [] };
+		draft.data = formData;
+		draft.updated = formData.lastModified;
+		draft.revision = (draft.revision || 0) + 1;
+		if (snapshot) {
+			const latest = draft.history[draft.history.length - 1];
+			if (!latest || !isSameDraftContent(latest.data, formData)) {
+				draft.history.push({ saved: formData.lastModified, data: formData });
+				draft.history = draft.history.slice(-DRAFT_HISTORY_LIMIT);
+			}
+		}
+		drafts[activeDraftId] = draft;
+		saveDrafts(drafts);
+		draftBase = { revision: draft.revision, data: formData };
+		draftSaveError = '';
 
 		// Update last saved timestamp display
 		updateLastSavedDisplay();
-		return true;
+		updateDraftNameInput(draft);
+		return draft;
 	} catch (error) {
 		console.error('Error saving form draft:', error);
-		return false;
+		draftSaveError = 'the browser\'s storage is full or unavailable';
+		updateLastSavedDisplay();
+		return null;
 	}
 }
 
-// Load form draft from localStorage
-function loadFormDraft() {
-	const savedDraft = storage.load('jeopardyFormDraft');
-	if (!savedDraft) return false;
+// Autosave once typing pauses rather than on every keystroke
+function scheduleAutosave() {
+	clearTimeout(autosaveTimer);
+	autosaveTimer = setTimeout(() => saveFormDraft(), AUTOSAVE_DELAY_MS);
+	updateLastSavedDisplay();
+}
 
-	// Set title
-	if (savedDraft.title) {
-		document.getElementById('board-title').value = savedDraft.title;
-		// Mark as having content for validation
-		document.getElementById('board-title').classList.add('has-content');
-	}
+function cancelAutosave() {
+	clearTimeout(autosaveTimer);
+	autosaveTimer = null;
+}
 
-	// Clear existing categories
-	categoriesContainer.innerHTML = '';
+// Save straight away if an autosave is waiting (before the form is cleared or the page closes)
+function flushAutosave() {
+	if (autosaveTimer) saveFormDraft();
+}
+
+// Load the form's draft from the drafts list
+function loadFormDraft() {
+	const draft = getActiveDraft();
+	if (!draft || !applyDraftData(draft.data)) return false;
+
+	draftBase = { revision: draft.revision || 0, data: draft.data };
+	updateLastSavedDisplay();
+	updateDraftNameInput(draft);
+	return true;
+}
 
+// Fill the form from a draft's form data; false if it couldn't be
+function applyDraftData(savedDraft) {
 	try {
 		// Basic safety check
 		if (!categoriesContainer) {
@@ -1926,67 +5532,8 @@ function loadFormDraft() {
 			return false;
 		}
 
-		// Make sure we have the right number of categories (5)
-		const categoryCount = savedDraft.categories ? Math.min(savedDraft.categories.length, 5) : 0;
-		const categoriesToCreate = Math.max(5 - categoryCount, 0);
-
-		// First create empty categories to ensure proper structure
-		for (let i = 0; i < 5; i++) {
-			addCategory();
-		}
-
-		// Then populate with saved data
-		if (savedDraft.categories && savedDraft.categories.length > 0) {
-			// Get all created category sections
-			const categorySections = document.querySelectorAll('.category-section');
-			if (categorySections.length !== 5) {
-				console.error(`Expected 5 categories, but found ${categorySections.length}`);
-			}
-
-			// Update each category with saved data
-			savedDraft.categories.forEach((category, index) => {
-				if (index >= 5) return; // Only handle the first 5 categories
-
-				const catSection = categorySections[index];
-				if (!catSection) {
-					console.error(`Category section ${index} not found`);
-					return;
-				}
-
-				// Set category name
-				const catNameInput = catSection.querySelector('.category-name');
-				if (catNameInput) {
-					catNameInput.value = category.name || '';
-					if (category.name) {
-						catNameInput.classList.add('has-content');
-					}
-				} else {
-					console.error(`Category ${index} name input not found`);
-				}
-
-				// Set question/answer values
-				const questionItems = catSection.querySelectorAll('.question-item');
-				if (category.clues) {
-					category.clues.forEach((clue, qIndex) => {
-						if (qIndex >= questionItems.length) return;
-
-						const qItem = questionItems[qIndex];
-						const answerInput = qItem.querySelector('.question-answer');
-						const questionInput = qItem.querySelector('.question-question');
-
-						if (answerInput) {
-							answerInput.value = clue.answer || '';
-							if (clue.answer) answerInput.classList.add('has-content');
-						}
-
-						if (questionInput) {
-							questionInput.value = clue.question || '';
-							if (clue.question) questionInput.classList.add('has-content');
-						}
-					});
-				}
-			});
-		}
+		// Rebuild the form at the draft's size (drafts saved before sizing was configurable are 5×5)
+		fillFormFromBoardData(savedDraft);
 
 		// Apply validation styling to all fields
 		document.querySelectorAll('.required-field').forEach(field => {
@@ -1998,10 +5545,6 @@ function loadFormDraft() {
 				field.classList.add('validation-error');
 			}
 		});
-
-		// Log form structure for debugging
-		console.log('Form restored from draft');
-		debugFormStructure();
 	} catch (error) {
 		console.error('Error loading form draft:', error);
 
@@ -2021,23 +5564,18 @@ function loadFormDraft() {
 		}
 	}
 
-	// Update last saved display
-	updateLastSavedDisplay();
-
 	return true;
 }
 
 // Function to completely reinitialize the form when there are issues
 function reinitializeForm() {
-	console.log("Reinitializing form due to structure issues");
-
-	// Clear the entire form
-	categoriesContainer.innerHTML = '';
+	// A change waiting to autosave belongs to the content being cleared away
+	cancelAutosave();
 
-	// Add 5 fresh categories
-	for (let i = 0; i < 5; i++) {
-		addCategory();
-	}
+	// Clear the entire form and add fresh categories at the default size and values
+	setFormDimensions(DEFAULT_COLUMNS, DEFAULT_ROWS);
+	document.getElementById('row-values').value = '';
+	buildCategoryInputs();
 
 	// Reset teams
 	formTeams = [];
@@ -2051,6 +5589,10 @@ function reinitializeForm() {
 		titleInput.classList.remove('has-content');
 	}
 
+	// Clear Final Jeopardy and the answer timer
+	clearFinalInputs();
+	clearGameSettingInputs();
+
 	// Re-add validation listeners
 	addValidationListeners();
 
@@ -2061,54 +5603,600 @@ function reinitializeForm() {
 	}
 }
 
-// Discard the form draft
+// Discard the form draft, along with its entry in the drafts list and its history
 function discardFormDraft() {
-	storage.remove('jeopardyFormDraft');
+	cancelAutosave();
+	if (activeDraftId) {
+		const drafts = loadDrafts();
+		delete drafts[activeDraftId];
+		saveDrafts(drafts);
+		deleteDraftAssets(activeDraftId);
+	}
+	draftAssets = {};
+	activeDraftId = null;
+	draftBase = null;
+	draftSaveError = '';
 	updateLastSavedDisplay();
+	updateDraftNameInput(null);
 }
 
-// Update the display showing when the form was last saved
-// Manual saves occur when the user clicks the "Save Now" button
-// Timestamp includes seconds to provide more precise save time feedback
+// "just now", "12 seconds ago", "3 minutes ago"... or the date and time after a day
+function formatTimeAgo(time) {
+	const seconds = Math.max(0, Math.round((Date.now() - new Date(time).getTime()) / 1000));
+	if (seconds < 5) return 'just now';
+	if (seconds < 60) return `${seconds} seconds ago`;
+	const minutes = Math.floor(seconds / 60);
+	if (minutes < 60) return minutes === 1 ? '1 minute ago' : `${minutes} minutes ago`;
+	const hours = Math.floor(minutes / 60);
+	if (hours < 24) return hours === 1 ? '1 hour ago' : `${hours} hours ago`;
+	return `on ${new Date(time).toLocaleString()}`;
+}
+
+// Show whether the form's draft is saved and how long ago; ticks every second while the form is open
 function updateLastSavedDisplay() {
-	const savedDraft = storage.load('jeopardyFormDraft');
 	const lastSavedDisplay = document.getElementById('last-saved-display');
-
 	if (!lastSavedDisplay) return;
 
-	if (savedDraft && savedDraft.lastModified) {
-		const date = new Date(savedDraft.lastModified);
+	lastSavedDisplay.classList.toggle('save-failed', Boolean(draftSaveError) && !autosaveTimer);
+	if (autosaveTimer) {
+		lastSavedDisplay.textContent = 'Saving…';
+	} else if (draftSaveError) {
+		lastSavedDisplay.textContent = `Not saved: ${draftSaveError}`;
+		lastSavedDisplay.title = draftBase ? `Last saved ${new Date(draftBase.data.lastModified).toLocaleString()}` : '';
+	} else if (draftBase) {
+		const savedAt = draftBase.data.lastModified;
+		lastSavedDisplay.textContent = `Saved ${formatTimeAgo(savedAt)}${draftBase.fromOtherTab ? ' in another tab' : ''}`;
+		lastSavedDisplay.title = new Date(savedAt).toLocaleString();
+	} else {
+		lastSavedDisplay.textContent = 'No draft saved';
+		lastSavedDisplay.title = '';
+	}
+	lastSavedDisplay.style.display = 'block';
+
+	// Show discard button when we have a saved draft
+	const discardBtn = document.getElementById('discard-draft-btn');
+	if (discardBtn) discardBtn.style.display = draftBase ? 'block' : 'none';
+}
+
+// --- Named Drafts ---
+// Any number of games can be in progress in the editor at once, each kept under DRAFTS_KEY by
+// id with a revision count (bumped on every save) and a snapshot of the form from each time it
+// was saved by hand. Each tab remembers which draft its own form holds.
+const DRAFT_HISTORY_LIMIT = 20;
+
+function loadDrafts() {
+	return storage.load(DRAFTS_KEY, {});
+}
+
+function isQuotaExceeded(error) {
+	return Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
 
-		// Format date in the style: M/D/YYYY, h:MM:SS AM/PM
-		const month = date.getMonth() + 1; // getMonth() is 0-indexed
-		const day = date.getDate();
-		const year = date.getFullYear();
+// Drop the oldest saved version of whichever draft has the most; false when none are left
+function trimDraftHistory(drafts) {
+	const fullest = Object.values(drafts).reduce((most, draft) =>
+		!most || draft.history.length > most.history.length ? draft : most, null);
+	if (!fullest || fullest.history.length === 0) return false;
+	fullest.history.shift();
+	return true;
+}
 
-		let hours = date.getHours();
-		const minutes = date.getMinutes().toString().padStart(2, '0');
-		const seconds = date.getSeconds().toString().padStart(2, '0');
-		const ampm = hours >= 12 ? 'PM' : 'AM';
-		hours = hours % 12;
-		hours = hours ? hours : 12; // Convert 0 to 12 for 12 AM
+// Save the drafts list, dropping old saved versions while it doesn't fit; throws if it still
+// doesn't fit once they're all gone
+function saveDrafts(drafts) {
+	let trimmed = false;
+	for (;;) {
+		try {
+			localStorage.setItem(DRAFTS_KEY, JSON.stringify(drafts));
+			break;
+		} catch (error) {
+			if (!isQuotaExceeded(error) || !trimDraftHistory(drafts)) throw error;
+			trimmed = true;
+		}
+	}
+	if (trimmed) reportDraftHistoryTrimmed();
+}
 
-		const formattedDate = `${month}/${day}/${year}, ${hours}:${minutes}:${seconds} ${ampm}`;
+// Free some of localStorage for another key by dropping a saved draft version; false if there's
+// none to drop
+function makeRoomInStorage() {
+	const drafts = loadDrafts();
+	if (!trimDraftHistory(drafts)) return false;
+	localStorage.setItem(DRAFTS_KEY, JSON.stringify(drafts));
+	reportDraftHistoryTrimmed();
+	return true;
+}
 
-		lastSavedDisplay.textContent = `Last saved: ${formattedDate}`;
-		lastSavedDisplay.style.display = 'block';
+// Say once per visit that versions were dropped
+let draftTrimReported = false;
+function reportDraftHistoryTrimmed() {
+	if (draftTrimReported) return;
+	draftTrimReported = true;
+	CustomDialog.alert('The browser\'s storage is full, so the oldest saved versions of your drafts were deleted to make room.<br><br>To free more space, save drafts you want to keep as files and delete them from the Drafts list.', 'Storage Full');
+}
 
-		// Show discard button when we have a saved draft
-		const discardBtn = document.getElementById('discard-draft-btn');
-		if (discardBtn) discardBtn.style.display = 'block';
-	} else {
-		lastSavedDisplay.textContent = 'No draft saved';
-		lastSavedDisplay.style.display = 'block';
+function getActiveDraft() {
+	return activeDraftId ? loadDrafts()[activeDraftId] || null : null;
+}
+
+function getDraftName(draft) {
+	return draft.name || (draft.data && draft.data.title) || 'Untitled draft';
+}
+
+// True once a draft has anything typed into it worth keeping
+function hasDraftContent(data) {
+	return Boolean(data.title || (data.final && (data.final.category || data.final.question || data.final.answer)) ||
+		getBoardRounds(data).some(round => round.categories.some(category =>
+			category.name || category.clues.some(clue => clue.question || clue.answer || clue.note))));
+}
+
+function countWrittenClues(data) {
+	let written = 0, total = 0;
+	getBoardRounds(data).forEach(round => round.categories.forEach(category => category.clues.forEach(clue => {
+		total++;
+		if (clue.question && clue.answer) written++;
+	})));
+	return { written, total };
+}
+
+// Form data compared without its save time, so saving twice without a change adds one version
+function isSameDraftContent(a, b) {
+	return JSON.stringify({ ...a, lastModified: null }) === JSON.stringify({ ...b, lastModified: null });
+}
+
+// Drafts from before named drafts were kept in a single 'jeopardyFormDraft' slot
+function migrateFormDraft() {
+	const legacy = storage.load('jeopardyFormDraft');
+	if (!legacy) return;
+
+	if (hasDraftContent(legacy)) {
+		const drafts = loadDrafts();
+		const id = createGameId();
+		drafts[id] = { id, name: '', history: [], revision: 1, data: legacy, updated: legacy.lastModified || new Date().toISOString() };
+		saveDrafts(drafts);
+	}
+	storage.remove('jeopardyFormDraft');
+}
+
+// A manual save: save the form and snapshot it into the draft's history
+function saveDraftVersion() {
+	return saveFormDraft({ snapshot: true }) !== null;
+}
+
+// Put the form's draft away (it stays in the drafts list) so the form can take another
+function closeActiveDraft() {
+	flushAutosave();
+	activeDraftId = null;
+	draftBase = null;
+	draftSaveError = '';
+	draftAssets = {};
+}
+
+// Load a draft from the list into the form, with its images; false if it couldn't be loaded
+function openNamedDraft(id) {
+	if (!loadDrafts()[id]) return false;
+
+	closeActiveDraft();
+	activeDraftId = id;
+	reinitializeForm();
+	loadDraftAssets(id).then(updateImagePreviews);
+	return loadFormDraft();
+}
+
+function startNewDraft() {
+	closeActiveDraft();
+	reinitializeForm();
+	updateLastSavedDisplay();
+	updateDraftNameInput(null);
+}
+
+function deleteNamedDraft(id) {
+	if (id === activeDraftId) {
+		discardFormDraft();
+		return;
+	}
+	const drafts = loadDrafts();
+	delete drafts[id];
+	saveDrafts(drafts);
+	deleteDraftAssets(id);
+}
+
+function renameActiveDraft(name) {
+	const draft = saveFormDraft({ force: true });
+	if (!draft) return;
+	const drafts = loadDrafts();
+	drafts[draft.id].name = name.trim();
+	saveDrafts(drafts);
+}
+
+// Show the form's draft name (or, as a placeholder, the title it goes by without one)
+function updateDraftNameInput(draft = getActiveDraft()) {
+	const nameInput = document.getElementById('draft-name');
+	if (!nameInput || document.activeElement === nameInput) return;
+	nameInput.value = draft ? draft.name : '';
+	nameInput.placeholder = draft && draft.data.title ? draft.data.title : 'Name this draft';
+}
+
+// Every field that differs between two drafts' form data, labelled with where it is on the board
+// and with its path in the data
+function diffDraftData(before, after) {
+	const changes = [];
+	const read = (data, path) => path.reduce((value, key) => value == null ? undefined : value[key], data);
+	const format = value => {
+		if (Array.isArray(value)) return value.map(team => team.name).join(', ');
+		if (value === true) return 'Yes';
+		return value == null || value === false ? '' : String(value);
+	};
+	const compare = (where, field, path) => {
+		const from = format(read(before, path));
+		const to = format(read(after, path));
+		if (from !== to) changes.push({ where, field, path, before: from, after: to });
+	};
+
+	compare('Game', 'Title', ['title']);
+	compare('Game', 'Categories', ['columns']);
+	compare('Game', 'Clues per category', ['rows']);
+	compare('Game', 'Image folder', ['imageFolder']);
+	compare('Game', 'Answer timer', ['timer']);
+	compare('Game', 'When time runs out', ['timeout']);
+
+	const beforeRounds = getBoardRounds(before);
+	const afterRounds = getBoardRounds(after);
+	const roundCount = Math.max(beforeRounds.length, afterRounds.length);
+	for (let r = 0; r < roundCount; r++) {
+		const oldRound = beforeRounds[r] || { categories: [] };
+		const newRound = afterRounds[r] || { categories: [] };
+		const roundName = getRoundName(afterRounds[r] || oldRound, r);
+		const prefix = roundCount > 1 ? `${roundName} › ` : '';
+		const roundPath = ['rounds', r];
+		compare(roundName, 'Round name', [...roundPath, 'name']);
+		compare(roundName, 'Multiplier', [...roundPath, 'multiplier']);
+		compare(roundName, 'Daily Doubles', [...roundPath, 'dailyDoubles']);
+		compare(roundName, 'Round timer', [...roundPath, 'timer']);
+
+		const categoryCount = Math.max(oldRound.categories.length, newRound.categories.length);
+		for (let c = 0; c < categoryCount; c++) {
+			const oldCategory = oldRound.categories[c] || { name: '', clues: [] };
+			const newCategory = newRound.categories[c] || { name: '', clues: [] };
+			const categoryName = `${prefix}${newCategory.name || oldCategory.name || `Category ${c + 1}`}`;
+			const categoryPath = [...roundPath, 'categories', c];
+			compare(categoryName, 'Category name', [...categoryPath, 'name']);
+
+			const clueCount = Math.max(oldCategory.clues.length, newCategory.clues.length);
+			for (let i = 0; i < clueCount; i++) {
+				const oldClue = oldCategory.clues[i] || {};
+				const newClue = newCategory.clues[i] || {};
+				const where = `${categoryName} › ${newClue.value || oldClue.value || `Clue ${i + 1}`}`;
+				const cluePath = [...categoryPath, 'clues', i];
+				compare(where, 'Value', [...cluePath, 'value']);
+				compare(where, 'Daily Double', [...cluePath, 'dailyDouble']);
+				compare(where, 'Clue', [...cluePath, 'question']);
+				compare(where, 'Response', [...cluePath, 'answer']);
+				compare(where, 'Note', [...cluePath, 'note']);
+			}
+		}
+	}
+
+	compare('Final Jeopardy', 'Category', ['final', 'category']);
+	compare('Final Jeopardy', 'Clue', ['final', 'question']);
+	compare('Final Jeopardy', 'Response', ['final', 'answer']);
+	compare('Teams', 'Names', ['teams']);
+	return changes;
+}
+
+function formatDraftDiff(changes) {
+	if (changes.length === 0) return '<p>This version is the same as the form now.</p>';
+	const cell = text => text ? escapeHtml(text) : '<em>(empty)</em>';
+	const rows = changes.map(change => `
+            <tr>
+                <td>${escapeHtml(change.where)}<br><small>${escapeHtml(change.field)}</small></td>
+                <td>${cell(change.before)}</td>
+                <td>${cell(change.after)}</td>
+            </tr>`).join('');
+	return `
+        <p>${changes.length} ${changes.length === 1 ? 'difference' : 'differences'} from this version to the form now:</p>
+        <table class="draft-diff">
+            <thead><tr><th>Where</th><th>This version</th><th>Now</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+// List the drafts, most recently edited first, and resolve with { action: 'open', id },
+// { action: 'new' } or { action: 'cancel' } (only offered when the form already holds a draft)
+function showDraftsModal({ cancelable = false } = {}) {
+	const modal = document.getElementById('drafts-modal');
+	const list = document.getElementById('drafts-list');
+	const newBtn = document.getElementById('drafts-new');
+	const cancelBtn = document.getElementById('drafts-cancel');
+	const activeId = activeDraftId;
+
+	const render = () => {
+		list.innerHTML = '';
+		Object.values(loadDrafts())
+			.sort((a, b) => b.updated.localeCompare(a.updated))
+			.forEach(draft => {
+				const { written, total } = countWrittenClues(draft.data);
+				const item = document.createElement('li');
+				item.className = 'library-game';
+				item.dataset.id = draft.id;
+				item.innerHTML = `
+                    <div class="library-game-info">
+                        <strong class="library-game-title"></strong>
+                        <span class="library-game-meta"></span>
+                    </div>
+                    <div class="library-game-actions">
+                        <button data-action="open">Open</button>
+                        <button data-action="delete" class="secondary-btn">Delete</button>
+                    </div>
+                `;
+				item.querySelector('.library-game-title').textContent = getDraftName(draft) + (draft.id === activeId ? ' (open)' : '');
+				item.querySelector('.library-game-meta').textContent = [
+					`Edited ${new Date(draft.updated).toLocaleString()}`,
+					`${written} of ${total} clues written`,
+					draft.history.length === 1 ? '1 saved version' : `${draft.history.length} saved versions`
+				].join(' · ');
+				list.appendChild(item);
+			});
+	};
+
+	render();
+	cancelBtn.style.display = cancelable ? '' : 'none';
+	modal.style.display = 'flex';
+
+	return new Promise(resolve => {
+		const finish = result => {
+			modal.style.display = 'none';
+			list.onclick = newBtn.onclick = cancelBtn.onclick = null;
+			resolve(result);
+		};
+
+		list.onclick = async function (e) {
+			const button = e.target.closest('button[data-action]');
+			if (!button) return;
+			const id = button.closest('li').dataset.id;
+			if (button.dataset.action === 'open') {
+				finish({ action: 'open', id });
+				return;
+			}
+
+			const draft = loadDrafts()[id];
+			modal.style.display = 'none';
+			const confirmed = await CustomDialog.confirm(
+				`Delete the draft "${escapeHtml(getDraftName(draft))}" and its saved versions? This cannot be undone.`,
+				'Delete Draft?'
+			);
+			modal.style.display = 'flex';
+			if (!confirmed) return;
+
+			deleteNamedDraft(id);
+			if (id === activeId) {
+				// The form's draft is gone, so it can only be replaced now
+				finish({ action: 'new' });
+			} else if (Object.keys(loadDrafts()).length === 0) {
+				finish(cancelable ? { action: 'cancel' } : { action: 'new' });
+			} else {
+				render();
+			}
+		};
+		newBtn.onclick = () => finish({ action: 'new' });
+		cancelBtn.onclick = () => finish({ action: 'cancel' });
+	});
+}
+
+// Offer the saved drafts, then open the one picked or start a new game in the form
+async function chooseDraft({ cancelable = false } = {}) {
+	flushAutosave();
+	if (Object.keys(loadDrafts()).length === 0) {
+		if (!cancelable) startNewDraft();
+		return;
+	}
+
+	const choice = await showDraftsModal({ cancelable });
+	if (choice.action === 'open') {
+		if (!openNamedDraft(choice.id)) {
+			console.error('Failed to load draft, using clean form instead');
+			CustomDialog.error('There was an issue loading your draft. Starting with a fresh form.');
+			discardFormDraft();
+			reinitializeForm();
+		}
+	} else if (choice.action === 'new') {
+		startNewDraft();
+	}
+	updateLastSavedDisplay();
+}
+
+// Show the open draft's saved versions; picking one previews how it differs from the form,
+// and restoring it saves the form as a version first so the restore can itself be undone
+function showDraftHistory() {
+	flushAutosave();
+	const draft = getActiveDraft();
+	const modal = document.getElementById('draft-history-modal');
+	const intro = document.getElementById('draft-history-intro');
+	const list = document.getElementById('draft-history-list');
+	const preview = document.getElementById('draft-history-preview');
+	const restoreBtn = document.getElementById('draft-history-restore');
+	const history = draft ? [...draft.history].reverse() : [];
+	let selected = null;
+
+	intro.textContent = history.length > 0
+		? `Versions of "${getDraftName(draft)}", newest first. Pick one to see how it differs from the form now.`
+		: 'No saved versions yet. Each time you click Save Draft (or Save), a version is added here.';
+	list.innerHTML = '';
+	preview.innerHTML = '';
+	restoreBtn.disabled = true;
+
+	history.forEach((version, index) => {
+		const { written, total } = countWrittenClues(version.data);
+		const item = document.createElement('li');
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.className = 'secondary-btn';
+		button.dataset.index = index;
+		button.textContent = `${new Date(version.saved).toLocaleString()} · ${version.data.title || 'Untitled'} · ${written} of ${total} clues written`;
+		item.appendChild(button);
+		list.appendChild(item);
+	});
+
+	list.onclick = function (e) {
+		const button = e.target.closest('button[data-index]');
+		if (!button) return;
+		list.querySelectorAll('button').forEach(other => other.classList.toggle('selected', other === button));
+		selected = history[button.dataset.index];
+		preview.innerHTML = formatDraftDiff(diffDraftData(selected.data, gatherFormData()));
+		restoreBtn.disabled = false;
+	};
+
+	restoreBtn.onclick = function () {
+		if (!selected) return;
+		saveDraftVersion();
+		reinitializeForm();
+		if (applyDraftData(selected.data)) {
+			saveFormDraft();
+		} else {
+			CustomDialog.error('There was an issue restoring that version.');
+			loadFormDraft();
+		}
+		modal.style.display = 'none';
+	};
+
+	document.getElementById('draft-history-close').onclick = function () {
+		modal.style.display = 'none';
+	};
+
+	modal.style.display = 'flex';
+}
+
+document.getElementById('draft-name').addEventListener('input', function () {
+	renameActiveDraft(this.value);
+});
+
+document.getElementById('draft-history-btn').addEventListener('click', showDraftHistory);
+
+document.getElementById('drafts-btn').addEventListener('click', function () {
+	chooseDraft({ cancelable: true });
+});
+
+// Autosave on any change in the form (the draft name saves itself as it's typed)
+['input', 'change'].forEach(type => {
+	createFormDiv.addEventListener(type, function (e) {
+		if (e.target.id !== 'draft-name') scheduleAutosave();
+	});
+});
 
-		// Hide discard button if no draft
-		const discardBtn = document.getElementById('discard-draft-btn');
-		if (discardBtn) discardBtn.style.display = 'none';
+window.addEventListener('pagehide', flushAutosave);
+
+// Keep "Saved N seconds ago" current while the form is open
+setInterval(function () {
+	if (!createFormDiv.classList.contains('hide')) updateLastSavedDisplay();
+}, 1000);
+
+// --- Editing a Draft in Two Tabs ---
+// Tabs share the drafts list, so another tab can save the draft this one has open. With nothing
+// unsaved here the form just follows that save; otherwise the host chooses to reload the other
+// tab's version, keep this one over it, or merge the two.
+
+// Three-way merge of form data: each field takes whichever side changed it since the base,
+// and this tab's value where both did
+function mergeDraftData(base, mine, theirs) {
+	const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+	const merge = (b, m, t) => {
+		if (same(m, t) || same(t, b)) return m;
+		if (same(m, b)) return t;
+		if (m && t && typeof m === 'object' && typeof t === 'object' && Array.isArray(m) === Array.isArray(t)) {
+			const from = b && typeof b === 'object' ? b : {};
+			if (Array.isArray(m)) {
+				return Array.from({ length: Math.max(m.length, t.length) }, (_, i) => merge(from[i], m[i], t[i]))
+					.filter(item => item !== undefined);
+			}
+			const merged = {};
+			new Set([...Object.keys(m), ...Object.keys(t)]).forEach(key => {
+				const value = merge(from[key], m[key], t[key]);
+				if (value !== undefined) merged[key] = value;
+			});
+			return merged;
+		}
+		return m;
+	};
+	return merge(base, mine, theirs);
+}
+
+// Fields both tabs changed since the base, to different values (the merge keeps this tab's)
+function getDraftOverlaps(base, mine, theirs) {
+	const key = change => JSON.stringify(change.path);
+	const changedHere = new Set(diffDraftData(base, mine).map(key));
+	const changedThere = new Set(diffDraftData(base, theirs).map(key));
+	return diffDraftData(theirs, mine).filter(change => changedHere.has(key(change)) && changedThere.has(key(change)));
+}
+
+async function handleDraftConflict() {
+	if (draftConflictOpen || !draftBase) return;
+	const theirs = getActiveDraft();
+	if (!theirs) return;
+	// The other tab may have added or removed images too
+	loadDraftAssets(activeDraftId).then(updateImagePreviews);
+
+	const mine = gatherFormData();
+	if (isSameDraftContent(mine, draftBase.data)) {
+		// Nothing unsaved here: show the other tab's save
+		reinitializeForm();
+		loadFormDraft();
+		draftBase.fromOtherTab = true;
+		updateLastSavedDisplay();
+		return;
+	}
+
+	draftConflictOpen = true;
+	cancelAutosave();
+	const choice = await CustomDialog.choose(
+		`"${escapeHtml(getDraftName(theirs))}" was just saved in another tab, and this tab has changes that aren't saved yet.<br><br>` +
+		'Reload shows the other tab\'s version, Merge combines the two (where both changed the same thing, this tab\'s wins) and Keep Mine replaces the other tab\'s version with this one. ' +
+		'Decide Later leaves both as they are until this tab next saves.',
+		'Draft Changed in Another Tab',
+		[
+			{ text: 'Reload', style: 'secondary', value: 'reload' },
+			{ text: 'Merge', style: 'primary', value: 'merge' },
+			{ text: 'Keep Mine', style: 'secondary', value: 'keep' },
+			// Last, so Escape changes nothing
+			{ text: 'Decide Later', style: 'secondary', value: 'later' }
+		]
+	);
+	draftConflictOpen = false;
+
+	// The other tab may have saved again (or deleted the draft) while the dialog was open
+	const latest = getActiveDraft();
+	if (!latest) {
+		saveFormDraft({ force: true });
+	} else if (choice === 'reload') {
+		reinitializeForm();
+		loadFormDraft();
+	} else if (choice === 'merge') {
+		const overlaps = getDraftOverlaps(draftBase.data, mine, latest.data);
+		reinitializeForm();
+		applyDraftData(mergeDraftData(draftBase.data, mine, latest.data));
+		draftBase = { revision: latest.revision || 0, data: latest.data };
+		saveFormDraft();
+		if (overlaps.length > 0) {
+			CustomDialog.alert(
+				'Both tabs changed these, so this tab\'s version was kept:<br>' +
+				overlaps.map(change => `• ${escapeHtml(change.where)}: ${escapeHtml(change.field)}`).join('<br>'),
+				'Drafts Merged'
+			);
+		}
+	} else if (choice === 'keep') {
+		draftBase = { revision: latest.revision || 0, data: draftBase.data };
+		saveFormDraft();
+	} else {
+		draftSaveError = 'the draft was changed in another tab';
+		updateLastSavedDisplay();
 	}
 }
 
+window.addEventListener('storage', function (e) {
+	if (e.key !== DRAFTS_KEY || !draftBase || createFormDiv.classList.contains('hide')) return;
+	const theirs = getActiveDraft();
+	if (theirs && (theirs.revision || 0) !== draftBase.revision) handleDraftConflict();
+});
+
 // --- Draft Management Event Listeners ---
 // Modified setupDraftEventListeners to handle dynamic elements
 function setupDraftEventListeners() {
@@ -2123,8 +6211,8 @@ function setupDraftEventListeners() {
 
 		// Add a single event listener to the new save button
 		newSaveBtn.addEventListener('click', function () {
-			// Save immediately
-			if (saveFormDraft()) {
+			// Save immediately, adding a version to the draft's history
+			if (saveDraftVersion()) {
 				// Show brief feedback
 				const originalText = this.textContent;
 				this.textContent = "Saved!";
@@ -2157,12 +6245,10 @@ function setupDraftEventListeners() {
 				// Reset the form
 				document.getElementById('board-title').value = '';
 				document.getElementById('board-title').classList.remove('has-content');
+				clearFinalInputs();
+				clearGameSettingInputs();
 
-				const categoriesContainer = document.getElementById('categories-container');
-				categoriesContainer.innerHTML = '';
-				for (let i = 0; i < 5; i++) {
-					addCategory();
-				}
+				buildCategoryInputs();
 				formTeams = [];
 				addFormTeam();
 				renderFormTeams();
@@ -2172,7 +6258,7 @@ function setupDraftEventListeners() {
 		});
 	}
 
-	// Set up validation for the board title (no auto-save)
+	// Set up validation for the board title
 	const boardTitle = document.getElementById('board-title');
 
 	// Set up delegation for category container to catch all dynamic elements
@@ -2182,6 +6268,7 @@ function setupDraftEventListeners() {
 		// Check if the input is from one of our form fields and handle validation
 		if (
 			target.classList.contains('category-name') ||
+			target.classList.contains('question-value') ||
 			target.classList.contains('question-answer') ||
 			target.classList.contains('question-question')
 		) {
@@ -2199,8 +6286,6 @@ function setupDraftEventListeners() {
 	});
 }
 
-// Auto-save functionality has been removed in favor of manual save only
-
 // Setup draft event listeners on page load
 // Add event listener to fix any potential form rendering issues
 document.addEventListener('DOMContentLoaded', function () {
@@ -2212,21 +6297,6 @@ document.addEventListener('DOMContentLoaded', function () {
 	}
 });
 
-// Debug function to help diagnose form issues
-function debugFormStructure() {
-	console.log('---- Form Structure Debug ----');
-	console.log('Board title:', document.getElementById('board-title') ? 'exists' : 'missing');
-	console.log('Categories container:', categoriesContainer ? 'exists' : 'missing');
-
-	const categoryCount = document.querySelectorAll('.category-section').length;
-	console.log('Category sections:', categoryCount);
-
-	document.querySelectorAll('.category-section').forEach((cat, i) => {
-		console.log(`Category ${i + 1} name input:`, cat.querySelector('.category-name') ? 'exists' : 'missing');
-		console.log(`Category ${i + 1} question items:`, cat.querySelectorAll('.question-item').length);
-	});
-}
-
 // Custom confirmation dialog for discarding drafts
 function showDiscardConfirmation() {
 	// Create confirmation modal
@@ -2274,12 +6344,10 @@ function showDiscardConfirmation() {
 		// Reset the form
 		document.getElementById('board-title').value = '';
 		document.getElementById('board-title').classList.remove('has-content');
+		clearFinalInputs();
+		clearGameSettingInputs();
 
-		const categoriesContainer = document.getElementById('categories-container');
-		categoriesContainer.innerHTML = '';
-		for (let i = 0; i < 5; i++) {
-			addCategory();
-		}
+		buildCategoryInputs();
 		formTeams = [];
 		addFormTeam();
 		renderFormTeams();
@@ -2356,6 +6424,37 @@ const CustomDialog = {
 		});
 	},
 
+	// Ask for a line of text; resolves with it, or null when cancelled
+	prompt: function (message, title = 'Enter a Value', value = '') {
+		return new Promise((resolve) => {
+			this.createModal({
+				title: title,
+				message: `${message}<input type="text" id="custom-dialog-input" style="width: 90%; margin-top: 12px;">`,
+				buttons: [
+					{ text: 'Cancel', style: 'secondary', action: () => resolve(null) },
+					{ text: 'OK', style: 'primary', action: () => resolve(input.value) }
+				]
+			});
+			const input = document.getElementById('custom-dialog-input');
+			input.value = value;
+			input.addEventListener('keydown', (e) => {
+				if (e.key === 'Enter') document.querySelector('#dialog-buttons button:last-child').click();
+			});
+			setTimeout(() => input.select(), 150);
+		});
+	},
+
+	// Show a message with a button per choice; resolves with the chosen one's value
+	choose: function (message, title, choices) {
+		return new Promise((resolve) => {
+			this.createModal({
+				title: title,
+				message: message,
+				buttons: choices.map(choice => ({ text: choice.text, style: choice.style, action: () => resolve(choice.value) }))
+			});
+		});
+	},
+
 	// Show error message
 	error: function (message, title = 'Error') {
 		return new Promise((resolve) => {
@@ -0,0 +1,338 @@
+// Tests for the parts of js/jeopardy.js that don't need a browser: the game file formats and the
+// editor's data helpers. Run with: node --test tests/
+//
+// jeopardy.js is a plain browser script, so it's run in a VM context where every DOM object is an
+// inert stand-in that accepts any call; its top-level functions are then read off the context.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// Any property, call or construction gives back the same object, so wiring up the page is a no-op
+function createInert() {
+	const inert = new Proxy(function () {}, {
+		get(target, key) {
+			if (key === Symbol.iterator) return function* () {};
+			if (key === Symbol.toPrimitive) return () => '';
+			if (key === 'then') return undefined;
+			if (key === 'length') return 0;
+			return inert;
+		},
+		set: () => true,
+		apply: () => inert,
+		construct: () => inert
+	});
+	return inert;
+}
+
+function createLocalStorage() {
+	const items = new Map();
+	return {
+		getItem: key => (items.has(key) ? items.get(key) : null),
+		setItem: (key, value) => items.set(key, String(value)),
+		removeItem: key => items.delete(key),
+		key: index => [...items.keys()][index] ?? null,
+		get length() {
+			return items.size;
+		}
+	};
+}
+
+function loadJeopardy() {
+	const inert = createInert();
+	const context = {
+		document: inert,
+		navigator: inert,
+		indexedDB: inert,
+		Event: inert,
+		FileReader: inert,
+		Image: inert,
+		localStorage: createLocalStorage(),
+		location: { search: '', href: 'http://localhost/jeopardy.html' },
+		addEventListener: () => {},
+		removeEventListener: () => {},
+		setTimeout: () => 0,
+		clearTimeout: () => {},
+		setInterval: () => 0,
+		clearInterval: () => {},
+		queueMicrotask,
+		URLSearchParams,
+		console
+	};
+	context.window = context;
+	vm.createContext(context);
+	const file = path.join(__dirname, '..', 'js', 'jeopardy.js');
+	vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+	return context;
+}
+
+const app = loadJeopardy();
+
+// Objects made inside the VM have its own prototypes; compare them as plain data
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const SAMPLE_GAME = `Title: Science Night
+Columns: 2
+Rows: 2
+Timer: 20
+
+Round: Warm Up
+Category: Planets
+100|This planet is red|What is Mars?
+Note: Accept "the red planet"
+200 DD|The largest planet|What is Jupiter?
+Category: Elements
+100|H is its symbol|What is hydrogen?
+200|O is its symbol|What is oxygen?
+
+Round: Big Points
+Multiplier: 2
+Category: Animals
+100|It has a trunk|What is an elephant?
+200|It has stripes|What is a zebra?
+Category: Plants
+100|It turns to the sun|What is a sunflower?
+200|It has needles|What is a pine?
+
+Final: Space
+The first person on the Moon|Who is Neil Armstrong?
+`;
+
+// --- Text format ---
+test('parseBoardText reads the board size, rounds, clues and Final Jeopardy', () => {
+	const board = plain(app.parseBoardText(SAMPLE_GAME));
+	assert.strictEqual(board.title, 'Science Night');
+	assert.strictEqual(Number(board.columns), 2);
+	assert.strictEqual(Number(board.rows), 2);
+	assert.strictEqual(board.timer, '20');
+	assert.deepStrictEqual(board.rounds.map(round => [round.name, round.multiplier]), [['Warm Up', '1'], ['Big Points', '2']]);
+
+	const planets = board.rounds[0].categories[0];
+	assert.strictEqual(planets.name, 'Planets');
+	assert.deepStrictEqual(planets.clues[0], { value: '100', dailyDouble: false, question: 'This planet is red', answer: 'What is Mars?', note: 'Accept "the red planet"' });
+	assert.strictEqual(planets.clues[1].dailyDouble, true);
+	assert.deepStrictEqual(board.final, { category: 'Space', question: 'The first person on the Moon', answer: 'Who is Neil Armstrong?' });
+});
+
+test('parseBoardText infers the size of a file without Columns:/Rows: headers', () => {
+	const board = app.parseBoardText('Title: Small\nCategory: A\n100|q1|a1\n200|q2|a2\n300|q3|a3\nCategory: B\n100|q4|a4\n200|q5|a5\n300|q6|a6\n');
+	assert.strictEqual(Number(board.columns), 2);
+	assert.strictEqual(Number(board.rows), 3);
+	assert.strictEqual(board.rounds.length, 1);
+});
+
+test('serializeBoardText writes a board that parses back the same', () => {
+	const board = app.parseBoardText(SAMPLE_GAME);
+	assert.deepStrictEqual(plain(app.parseBoardText(app.serializeBoardText(board))), plain(board));
+});
+
+// --- JSON format ---
+test('serializeBoardJson and parseBoardJson convert a text game both ways without loss', () => {
+	const board = app.parseBoardText(SAMPLE_GAME);
+	const json = app.serializeBoardJson(board);
+	assert.ok(app.isJsonGameText(json));
+
+	const fromJson = app.parseBoardJson(json);
+	assert.deepStrictEqual(plain(fromJson), plain(board));
+	assert.strictEqual(app.serializeBoardText(fromJson), app.serializeBoardText(board));
+});
+
+test('parseBoardText reads JSON game text too', () => {
+	const board = app.parseBoardText(SAMPLE_GAME);
+	assert.deepStrictEqual(plain(app.parseBoardText(app.serializeBoardJson(board))), plain(board));
+});
+
+test('parseBoardJson rejects files that are not games or are from a newer version', () => {
+	assert.throws(() => app.parseBoardJson('{ "title": "x" }'), /not a Jeopardy game file/);
+	assert.throws(() => app.parseBoardJson('{ not json'), /could not be read/);
+
+	const newer = JSON.parse(app.serializeBoardJson(app.parseBoardText(SAMPLE_GAME)));
+	newer.version += 1;
+	assert.throws(() => app.parseBoardJson(JSON.stringify(newer)), /can't read/);
+});
+
+// --- Spreadsheets (CSV/TSV) ---
+test('detectDelimiter picks tabs, then whichever of ; or , the first line uses more', () => {
+	assert.strictEqual(app.detectDelimiter('Category\tValue\nA\t100'), '\t');
+	assert.strictEqual(app.detectDelimiter('Category;Value;Clue\nA;100;"x, y"'), ';');
+	assert.strictEqual(app.detectDelimiter('Category,Value,Clue\n'), ',');
+});
+
+test('parseDelimitedText handles quoted delimiters, doubled quotes and line breaks', () => {
+	const rows = plain(app.parseDelimitedText('A,"B, with comma","say ""hi"""\r\n"two\nlines",x,\n', ','));
+	assert.deepStrictEqual(rows, [['A', 'B, with comma', 'say "hi"'], ['two\nlines', 'x', '']]);
+});
+
+test('mapSpreadsheetColumns maps a header row in any order, or falls back to position', () => {
+	const header = plain(app.mapSpreadsheetColumns(['Answer', 'Points', 'Category', 'Question', 'DD']));
+	assert.deepStrictEqual(header, { mapping: { response: 0, value: 1, category: 2, clue: 3, dailyDouble: 4 }, hasHeader: true });
+
+	const positional = plain(app.mapSpreadsheetColumns(['Planets', '100', 'Red planet', 'Mars']));
+	assert.deepStrictEqual(positional, { mapping: { category: 0, value: 1, clue: 2, response: 3 }, hasHeader: false });
+});
+
+test('buildBoardFromSpreadsheet groups rows into rounds and categories and reports skipped rows', () => {
+	const formData = plain(app.parseBoardText(SAMPLE_GAME));
+	const rows = app.parseDelimitedText([
+		'Category,Value,Clue,Response,Daily Double',
+		'Planets,100,Red planet,Mars,',
+		'Planets,200,Ringed planet,Saturn,yes',
+		'Moons,100,Our moon,Luna,',
+		',100,No category,x,',
+		'Moons,lots,Bad value,x,'
+	].join('\n'), ',');
+	const result = plain(app.buildBoardFromSpreadsheet(rows, formData));
+
+	assert.strictEqual(result.clueCount, 3);
+	assert.strictEqual(result.board.columns, 2);
+	assert.strictEqual(result.board.rows, 2);
+	assert.deepStrictEqual(result.board.rounds[0].categories.map(category => category.name), ['Planets', 'Moons']);
+	assert.strictEqual(result.board.rounds[0].categories[0].clues[1].dailyDouble, true);
+	assert.deepStrictEqual(result.problems, ['Row 5: no category', 'Row 6: value "lots" isn\'t a positive whole number']);
+	assert.match(app.buildBoardFromSpreadsheet(app.parseDelimitedText('Value,Clue\n100,x', ','), formData).error, /no Category column/);
+});
+
+test('createSpreadsheetFromForm exports a board that imports back the same', () => {
+	const board = plain(app.parseBoardText(SAMPLE_GAME));
+	const csv = app.createSpreadsheetFromForm(board);
+	const result = plain(app.buildBoardFromSpreadsheet(app.parseDelimitedText(csv, app.detectDelimiter(csv)), board));
+
+	assert.strictEqual(result.problems.length, 0);
+	assert.deepStrictEqual(result.board.rounds, board.rounds);
+});
+
+// --- Text escaping ---
+test('escapeText and unescapeText round-trip pipes, backslashes, line breaks and edge spaces', () => {
+	const value = ' a|b \\ c\nd\te ';
+	const escaped = app.escapeText(value);
+	assert.strictEqual(escaped, '\\sa\\|b \\\\ c\\nd\\te\\s');
+	assert.strictEqual(app.unescapeText(escaped), value);
+});
+
+test('escapeLineStart escapes a field that would read as a header', () => {
+	assert.strictEqual(app.escapeLineStart('Title: the first one'), '\\Title: the first one');
+	assert.strictEqual(app.escapeLineStart('Not a header: title'), 'Not a header: title');
+});
+
+test('serializeBoardText keeps escaped and header-like text intact through a round-trip', () => {
+	const board = plain(app.parseBoardText(SAMPLE_GAME));
+	const clue = board.rounds[0].categories[1].clues[0];
+	clue.question = 'Pick one: A | B\nor C \\ D';
+	clue.answer = ' What is A? ';
+	clue.note = 'Category: not a header';
+	board.rounds[0].categories[1].name = 'Pipes | and \\ slashes';
+	board.final.question = 'Title: of the first book';
+
+	const text = app.serializeBoardText(board);
+	assert.deepStrictEqual(plain(app.parseBoardText(text)), board);
+});
+
+// --- Draft history ---
+test('diffDraftData lists each changed field with where it is on the board', () => {
+	const before = plain(app.parseBoardText(SAMPLE_GAME));
+	const after = plain(before);
+	after.title = 'Science Night II';
+	after.rounds[1].categories[0].clues[1].answer = 'What is a tiger?';
+	after.rounds[0].categories[0].clues[0].dailyDouble = true;
+	after.teams = [{ name: 'Red' }, { name: 'Blue' }];
+
+	assert.deepStrictEqual(plain(app.diffDraftData(before, after)), [
+		{ where: 'Game', field: 'Title', path: ['title'], before: 'Science Night', after: 'Science Night II' },
+		{ where: 'Warm Up › Planets › 100', field: 'Daily Double', path: ['rounds', 0, 'categories', 0, 'clues', 0, 'dailyDouble'], before: '', after: 'Yes' },
+		{ where: 'Big Points › Animals › 200', field: 'Response', path: ['rounds', 1, 'categories', 0, 'clues', 1, 'answer'], before: 'What is a zebra?', after: 'What is a tiger?' },
+		{ where: 'Teams', field: 'Names', path: ['teams'], before: '', after: 'Red, Blue' }
+	]);
+	assert.deepStrictEqual(plain(app.diffDraftData(before, plain(before))), []);
+});
+
+test('diffDraftData reports clues and categories that only one side has', () => {
+	const before = plain(app.parseBoardText(SAMPLE_GAME));
+	const after = plain(before);
+	after.rounds[0].categories.push({ name: 'Rocks', clues: [{ value: '100', question: 'Hard', answer: 'What is granite?' }] });
+
+	const fields = plain(app.diffDraftData(before, after)).map(change => [change.where, change.field, change.before, change.after]);
+	assert.deepStrictEqual(fields, [
+		['Warm Up › Rocks', 'Category name', '', 'Rocks'],
+		['Warm Up › Rocks › 100', 'Value', '', '100'],
+		['Warm Up › Rocks › 100', 'Clue', '', 'Hard'],
+		['Warm Up › Rocks › 100', 'Response', '', 'What is granite?']
+	]);
+});
+
+// --- Draft merging ---
+test('mergeDraftData keeps changes from both tabs and this tab\'s value where both changed a field', () => {
+	const base = plain(app.parseBoardText(SAMPLE_GAME));
+	const mine = plain(base);
+	const theirs = plain(base);
+	mine.title = 'Mine';
+	mine.rounds[0].categories[0].clues[0].question = 'Red, dusty planet';
+	theirs.title = 'Theirs';
+	theirs.rounds[1].categories[1].name = 'Trees';
+	theirs.final.answer = 'Who is Armstrong?';
+
+	const expected = plain(base);
+	expected.title = 'Mine';
+	expected.rounds[0].categories[0].clues[0].question = 'Red, dusty planet';
+	expected.rounds[1].categories[1].name = 'Trees';
+	expected.final.answer = 'Who is Armstrong?';
+	assert.deepStrictEqual(plain(app.mergeDraftData(base, mine, theirs)), expected);
+});
+
+test('mergeDraftData takes a category the other tab added', () => {
+	const base = plain(app.parseBoardText(SAMPLE_GAME));
+	const mine = plain(base);
+	const theirs = plain(base);
+	mine.timer = '30';
+	theirs.rounds[0].categories.push({ name: 'Rocks', clues: [] });
+
+	const merged = plain(app.mergeDraftData(base, mine, theirs));
+	assert.strictEqual(merged.timer, '30');
+	assert.deepStrictEqual(merged.rounds[0].categories.map(category => category.name), ['Planets', 'Elements', 'Rocks']);
+});
+
+test('getDraftOverlaps lists only fields both tabs changed to different values', () => {
+	const base = plain(app.parseBoardText(SAMPLE_GAME));
+	const mine = plain(base);
+	const theirs = plain(base);
+	mine.title = 'Mine';
+	theirs.title = 'Theirs';
+	mine.timer = '30';
+	theirs.timer = '30';
+	theirs.rows = 3;
+
+	assert.deepStrictEqual(plain(app.getDraftOverlaps(base, mine, theirs)), [
+		{ where: 'Game', field: 'Title', path: ['title'], before: 'Theirs', after: 'Mine' }
+	]);
+});
+
+// --- Score history ---
+// teams and scoreHistory are top-level lets, so they're reached by running code in the context
+test('undoScoreChange and redoScoreChange take back and replay score changes in order', () => {
+	const run = code => vm.runInContext(code, app);
+	run(`teams = [{ name: 'Red', score: 0 }, { name: 'Blue', score: 0 }]; scoreHistory = { events: [], redo: [] };`);
+	app.recordScoreEvent(0, 200);
+	run('teams[0].score += 200');
+	app.recordScoreEvent(1, -100, { source: 'stats-subtract' });
+	run('teams[1].score -= 100');
+	const scores = () => plain(run('teams.map(team => team.score)'));
+
+	app.undoScoreChange();
+	assert.deepStrictEqual(scores(), [200, 0]);
+	app.undoScoreChange();
+	assert.deepStrictEqual(scores(), [0, 0]);
+	app.undoScoreChange();
+	assert.deepStrictEqual(scores(), [0, 0]);
+
+	app.redoScoreChange();
+	assert.deepStrictEqual(scores(), [200, 0]);
+	assert.strictEqual(run('scoreHistory.redo.length'), 1);
+
+	// A new change clears what's left to redo
+	app.recordScoreEvent(1, 300);
+	run('teams[1].score += 300');
+	assert.strictEqual(run('scoreHistory.redo.length'), 0);
+	app.redoScoreChange();
+	assert.deepStrictEqual(scores(), [200, 300]);
+	assert.deepStrictEqual(plain(run('scoreHistory.events.map(event => [event.teamName, event.delta])')), [['Red', 200], ['Blue', 300]]);
+});